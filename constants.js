@@ -4,6 +4,32 @@ export const VN_MODES = {
 	NONE: 0,
 	HORIZONTAL: 1,
 	VERTICAL: 2,
+	RATIO: 3,
+};
+export const SHELD_LAYOUTS = {
+	DEFAULT: "default",
+	ADV: "adv",
+	NVL: "nvl",
+};
+
+export const CHAT_EXPORT_FORMATS = {
+	HTML: "html",
+	MARKDOWN: "markdown",
+	SCREENPLAY: "screenplay",
+	RENPY: "renpy",
+};
+
+export const defaultTintOverlay = {
+	enabled: false,
+	color: "rgba(255, 140, 0, 1)",
+	blendMode: "soft-light",
+	opacity: 30,
+};
+
+export const defaultTintVignette = {
+	enabled: false,
+	strength: 60,
+	radius: 50,
 };
 
 const defaultTintValues = {
@@ -31,6 +57,8 @@ const defaultTintValues = {
 		saturate: 100,
 		sepia: 0,
 	},
+	overlay: { ...defaultTintOverlay },
+	vignette: { ...defaultTintVignette },
 };
 
 const defaultTintPresets = [
@@ -59,6 +87,8 @@ const defaultTintPresets = [
 			saturate: 100,
 			sepia: 0,
 		},
+		overlay: { ...defaultTintOverlay },
+		vignette: { ...defaultTintVignette },
 	},
 	{
 		name: "Jarilo Midnight",
@@ -85,6 +115,8 @@ const defaultTintPresets = [
 			saturate: 100,
 			sepia: 0,
 		},
+		overlay: { ...defaultTintOverlay },
+		vignette: { ...defaultTintVignette },
 	},
 ];
 
@@ -93,12 +125,35 @@ export const defaultSettings = {
 	letterboxMode: 0,
 	letterboxColor: "rgba(0, 0, 0, 1)",
 	letterboxSize: 8,
+	letterboxRatio: 2.39,
+	letterboxAnimationDuration: 0.6,
+	letterboxAnimationEasing: "ease-in-out",
 	hideSheld: false,
 	spriteZoom: false,
 	zoomSpeed: 0.6,
 	zoomAnimation: "ease",
 	spriteDefocusTint: false,
 	showOnlyLastMessage: false,
+	typewriter: false,
+	typewriterSpeed: 40,
+	typewriterPunctuationPause: 300,
+	messagePaging: false,
+	rollback: true,
+	sheldLayout: "default",
+	advBoxPosition: "bottom",
+	advPortrait: true,
+	advBoxOpacity: 85,
+	advBoxWidth: 80,
+	advNameColor: "rgba(70, 110, 170, 1)",
+	advNameColors: {},
+	nvlPageSize: 6,
+	nvlFontSize: 18,
+	nvlPanelOpacity: 75,
+	autoRead: false,
+	autoReadSpeed: 250,
+	autoReadDelay: 1.5,
+	skipMode: false,
+	skipEffects: true,
 	emulateSprites: false,
 	spriteShake: false,
 	spriteShadow: false,
@@ -109,6 +164,35 @@ export const defaultSettings = {
 	currentTintValues: defaultTintValues,
 	selectedTint: "Jarilo Midnight",
 	tintPresets: defaultTintPresets,
+	tintTransitionDuration: 1,
+	tintTransitionEasing: "ease-in-out",
+	tintBindings: {
+		chats: {},
+		characters: {},
+	},
+	tintSchedule: false,
+	tintScheduleSource: "system",
+	tintScheduleStoryTime: "12:00",
+	tintScheduleEntries: [],
+	tintRules: false,
+	tintRuleEntries: [],
+	tintCharacterOverrides: {},
+	tintPresetWeather: false,
+	weather: false,
+	weatherType: "rain",
+	weatherDensity: 50,
+	weatherSpeed: 100,
+	weatherWind: 0,
+	weatherColor: "rgba(200, 215, 235, 0.6)",
+	sceneTransitions: false,
+	sceneTransitionType: "crossfade",
+	sceneTransitionDuration: 1,
+	captionFont: "serif",
+	captionFontSize: 22,
+	captionColor: "rgba(255, 255, 255, 1)",
+	captionAlignment: "center",
+	captionFadeDuration: 0.8,
+	captionDuration: 5,
 	enableUserSprite: false,
 	userSprite: "",
 	autoHideSprites: false,
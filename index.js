@@ -32,6 +32,7 @@ import {
 import { prepareSlashCommands } from "./modules/slash-commands.js";
 import {
 	applyLetterboxMode,
+	applyLetterboxAnimation,
 	applyLetterboxColor,
 	applyLetterboxSize,
 	setupLetterboxModeJQuery,
@@ -72,7 +73,80 @@ import {
 	setupSpriteShadowHTML,
 	setupSpriteShadowJQuery,
 } from "./modules/shadows.js";
-import { setupTintHTML, setupTintJQuery } from "./modules/tint.js";
+import {
+	applyTintBindings,
+	setupTintHTML,
+	setupTintJQuery,
+} from "./modules/tint.js";
+import {
+	applyTintSchedule,
+	setupTintScheduleHTML,
+	setupTintScheduleJQuery,
+} from "./modules/tint-schedule.js";
+import { setupTintImportExportJQuery } from "./modules/tint-import-export.js";
+import {
+	applyTintRules,
+	setupTintRulesHTML,
+	setupTintRulesJQuery,
+} from "./modules/tint-rules.js";
+import {
+	applyTintOverrides,
+	refreshTintOverridesHTML,
+	setupTintOverridesJQuery,
+} from "./modules/tint-overrides.js";
+import {
+	applyWeather,
+	setupWeatherHTML,
+	setupWeatherJQuery,
+} from "./modules/weather.js";
+import {
+	applySceneTransitions,
+	initSceneTransitions,
+	setupSceneTransitionHTML,
+	setupSceneTransitionJQuery,
+} from "./modules/transitions.js";
+import {
+	setupTypewriterHTML,
+	setupTypewriterJQuery,
+	startTypewriter,
+} from "./modules/typewriter.js";
+import {
+	applyAdvBoxStyle,
+	applyNvlPanelStyle,
+	refreshAdvNameColorsHTML,
+	setupSheldLayoutHTML,
+	setupSheldLayoutJQuery,
+} from "./modules/sheld-layout.js";
+import {
+	applyAutoRead,
+	scheduleAutoRead,
+	setupAutoReadHTML,
+	setupAutoReadJQuery,
+} from "./modules/auto-read.js";
+import {
+	applySkipMode,
+	applySkipToMessage,
+	markMessageUnread,
+	setupSkipHTML,
+	setupSkipJQuery,
+	updateLastReadMessage,
+} from "./modules/skip.js";
+import {
+	recordStage,
+	returnToPresent,
+	setupRollbackHTML,
+	setupRollbackJQuery,
+} from "./modules/rollback.js";
+import {
+	paginateLastMessage,
+	setupMessagePagingHTML,
+	setupMessagePagingJQuery,
+} from "./modules/paging.js";
+import {
+	applyCaptionStyle,
+	setupCaptionHTML,
+	setupCaptionJQuery,
+} from "./modules/captions.js";
 import {
 	applyUserSprite,
 	handleUserSprite,
@@ -188,16 +262,46 @@ async function loadSettings() {
 
 	// Apply Tint Settings
 	setupTintHTML();
+	setupTintScheduleHTML();
+	setupTintRulesHTML();
+	applyTintSchedule();
+
+	// Apply Weather Settings
+	setupWeatherHTML();
+	applyWeather();
+
+	// Apply Scene Transition Settings
+	setupSceneTransitionHTML();
+	applySceneTransitions();
+
+	// Apply Caption Settings
+	setupCaptionHTML();
+	applyCaptionStyle();
 
 	// Apply Letterbox Settings
-	applyLetterboxMode();
+	applyLetterboxAnimation();
+	applyLetterboxMode({ animate: false });
 	applyLetterboxColor();
 	applyLetterboxSize();
 
 	// Apply Sheld Settings
 	applySheldVisibility();
+	setupSheldLayoutHTML();
+	applyAdvBoxStyle();
+	applyNvlPanelStyle();
+	setupTypewriterHTML();
+	setupMessagePagingHTML();
+	setupRollbackHTML();
 	applySheldMode();
 
+	// Apply Auto Read Settings
+	setupAutoReadHTML();
+	applyAutoRead();
+
+	// Apply Skip Settings
+	setupSkipHTML();
+	applySkipMode();
+
 	// Apply Sprite Settings
 	/// Sprite Emulation
 	applySpriteEmulation();
@@ -233,6 +337,7 @@ function onVNUI_Click(event) {
 	$("body").toggleClass("waifuMode", power_user.waifuMode);
 	$("#waifuMode").prop("checked", power_user.waifuMode);
 	applySheldMode();
+	applyWeather();
 }
 
 async function onKeybindListClick() {
@@ -265,6 +370,69 @@ jQuery(async () => {
 		$("body").append(letterboxHtml);
 	}
 
+	function addSceneTransitionLayers() {
+		const sceneTransitionHtml = `
+      <div id="prome-scene-transition-image"></div>
+      <div id="prome-scene-transition-color"></div>
+    `;
+
+		$("body").append(sceneTransitionHtml);
+	}
+
+	function addCaptionLayers() {
+		const captionHtml = `
+      <div id="prome-caption-top"></div>
+      <div id="prome-caption-bottom"></div>
+      <div id="prome-title-card">
+        <div class="prome-title-card-content">
+          <div class="prome-title-card-title"></div>
+          <div class="prome-title-card-subtitle"></div>
+        </div>
+      </div>
+    `;
+
+		$("body").append(captionHtml);
+	}
+
+	function addAutoReadIndicator() {
+		const autoReadIndicatorHtml = `
+      <div id="prome-auto-read-indicator" title="Auto Read is on (click or press Ctrl+F2 to stop)">
+        <i class="fa-solid fa-forward"></i>
+        <span>AUTO</span>
+      </div>
+    `;
+
+		$("body").append(autoReadIndicatorHtml);
+	}
+
+	function addSkipIndicator() {
+		const skipIndicatorHtml = `
+      <div id="prome-skip-indicator" title="Skip is on (click or press Ctrl+F3 to stop)">
+        <i class="fa-solid fa-forward-fast"></i>
+        <span>SKIP</span>
+      </div>
+    `;
+
+		$("body").append(skipIndicatorHtml);
+	}
+
+	function addTintLayers() {
+		const tintLayersHtml = `
+      <div id="prome-tint-overlay"></div>
+      <div id="prome-tint-vignette"></div>
+    `;
+
+		$("body").append(tintLayersHtml);
+	}
+
+	function addWeatherLayer() {
+		const weatherLayerHtml = `
+      <canvas id="prome-weather-layer"></canvas>
+    `;
+
+		$("body").append(weatherLayerHtml);
+	}
+
 	const settingsHtml = await $.get(`${extensionFolderPath}/html/settings.html`);
 	$("#extensions_settings").append(settingsHtml);
 
@@ -308,16 +476,61 @@ jQuery(async () => {
 	const vnWrapper = $("#visual-novel-wrapper");
 
 	addLetterbox();
+	addSceneTransitionLayers();
+	addCaptionLayers();
+	addTintLayers();
+	addWeatherLayer();
+	addAutoReadIndicator();
+	addSkipIndicator();
 	setupTintJQuery();
+	setupTintScheduleJQuery();
+	setupTintImportExportJQuery();
+	setupTintRulesJQuery();
+	setupTintOverridesJQuery();
+	setupWeatherJQuery();
+	setupSceneTransitionJQuery();
+	setupCaptionJQuery();
+	setupSheldLayoutJQuery();
+	setupTypewriterJQuery();
+	setupMessagePagingJQuery();
+	setupRollbackJQuery();
+	setupAutoReadJQuery();
+	setupSkipJQuery();
 	setupAutoHideJQuery();
 	loadSettings();
 	prepareSlashCommands();
+	initSceneTransitions();
 	setupHideSpriteButton();
 	await initHideSprite();
 
 	eventSource.on(event_types.MESSAGE_SWIPED, applyShakeDebounce);
+	// New messages bring the stage back to the present before it's recorded
+	eventSource.on(event_types.MESSAGE_SENT, (messageId) => {
+		returnToPresent();
+		recordStage(messageId - 1);
+	});
+	eventSource.on(event_types.MESSAGE_RECEIVED, (messageId) => {
+		returnToPresent();
+		recordStage(messageId - 1);
+	});
 	eventSource.on(event_types.CHARACTER_MESSAGE_RENDERED, stopShake);
+	eventSource.on(event_types.CHARACTER_MESSAGE_RENDERED, applyTintRules);
+	// Pages are measured before the typewriter starts on the new message
+	eventSource.on(event_types.CHARACTER_MESSAGE_RENDERED, () =>
+		paginateLastMessage(),
+	);
+	// Skip checks the message before it's marked as read
+	eventSource.on(event_types.CHARACTER_MESSAGE_RENDERED, applySkipToMessage);
+	eventSource.on(event_types.CHARACTER_MESSAGE_RENDERED, startTypewriter);
+	eventSource.on(event_types.CHARACTER_MESSAGE_RENDERED, scheduleAutoRead);
+	eventSource.on(event_types.CHARACTER_MESSAGE_RENDERED, updateLastReadMessage);
+	eventSource.on(event_types.USER_MESSAGE_RENDERED, updateLastReadMessage);
+	eventSource.on(event_types.MESSAGE_SWIPED, markMessageUnread);
+	eventSource.on(event_types.MESSAGE_SWIPED, () => paginateLastMessage());
+	eventSource.on(event_types.MESSAGE_UPDATED, () => paginateLastMessage(true));
 	eventSource.on(event_types.CHAT_CHANGED, async () => {
+		// The sprites belong to the previous chat
+		returnToPresent(false);
 		await applyZoomDebounce();
 		syncHideSpriteButtonState();
 		await applyDefocusDebounce();
@@ -327,8 +540,17 @@ jQuery(async () => {
 		await applyUserAttributesDebounce();
 		handleAutoHideSprites();
 		resetHiddenSprites();
+		applyTintBindings();
+		applyTintSchedule();
+		refreshTintOverridesHTML();
+		applyTintOverrides();
+		refreshAdvNameColorsHTML();
+		scheduleAutoRead();
+		updateLastReadMessage();
 	});
-	eventSource.on(event_types.MESSAGE_DELETED, async () => {
+	eventSource.on(event_types.MESSAGE_DELETED, async (chatLength) => {
+		markMessageUnread(chatLength);
+		returnToPresent();
 		await applyZoomDebounce();
 		syncHideSpriteButtonState();
 		await applyDefocusDebounce();
@@ -339,10 +561,13 @@ jQuery(async () => {
 		await applyUserAttributesDebounce();
 		await applyScaleDebounce();
 		handleAutoHideSprites();
+		refreshTintOverridesHTML();
+		refreshAdvNameColorsHTML();
 
 		if (isGroupChat()) {
 			await visualNovelUpdateLayers(vnWrapper);
 		}
+		applyTintOverrides();
 	});
 
 	// Prevents the User Sprite from Genning Content
@@ -372,6 +597,7 @@ jQuery(async () => {
 	});
 
 	$(window).on("resize", async () => {
+		paginateLastMessage(true);
 		await emulateSpritesDebounce();
 		await applyUserAttributesDebounce();
 	});
@@ -412,6 +638,7 @@ $(document).ready(() => {
 					applyZoomDebounce();
 					syncHideSpriteButtonState();
 					applyDefocusDebounce();
+					applyTintOverrides();
 
 					if (isGroupChat()) {
 						visualNovelUpdateLayers($("#visual-novel-wrapper"));
@@ -460,3 +687,19 @@ $(document).keydown((event) => {
 		$("#prome-hide-sheld").click();
 	}
 });
+
+// Toggle Auto Read via Ctrl+F2
+$(document).keydown((event) => {
+	if (event.which === 113 && event.ctrlKey) {
+		event.preventDefault();
+		$("#prome-auto-read").click();
+	}
+});
+
+// Toggle Skip via Ctrl+F3
+$(document).keydown((event) => {
+	if (event.which === 114 && event.ctrlKey) {
+		event.preventDefault();
+		$("#prome-skip-mode").click();
+	}
+});
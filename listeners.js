@@ -12,6 +12,8 @@ import {
 } from "./utils.js";
 import { textgenerationwebui_settings as textgen_settings } from "../../../textgen-settings.js";
 import { applyScale } from "./modules/scale.js";
+import { isSkippingEffects } from "./modules/skip.js";
+import { getRollbackMessageId } from "./modules/rollback.js";
 import { isDisabledMember } from "./utils.js";
 import { visualNovelUpdateLayers } from "../../expressions/index.js";
 
@@ -65,6 +67,7 @@ function zoomListenerPreconditions(allowSolo = false) {
  */
 function shakeListenerPreconditions() {
 	if (!textgen_settings.streaming) return false;
+	if (isSkippingEffects()) return false;
 
 	const context = getContext();
 	const streamingProcessor = context.streamingProcessor;
@@ -108,7 +111,9 @@ function applyZoom() {
 	const expressionHolder = $("#expression-holder");
 
 	// Check if there are any messages
-	const lastMessagesWithoutSystem = getLastChatMessage();
+	const lastMessagesWithoutSystem = getLastChatMessage(
+		getRollbackMessageId(),
+	);
 	if (lastMessagesWithoutSystem.length === 0) {
 		visualNovelWrapperSprites.removeClass("prome-sprite-focus");
 		return;
@@ -161,7 +166,9 @@ function applyDefocus() {
 	const expressionHolder = $("#expression-holder");
 
 	// Check if there are any messages
-	const lastMessagesWithoutSystem = getLastChatMessage();
+	const lastMessagesWithoutSystem = getLastChatMessage(
+		getRollbackMessageId(),
+	);
 	if (lastMessagesWithoutSystem.length === 0) {
 		visualNovelWrapperSprites.removeClass("prome-sprite-focus");
 		return;
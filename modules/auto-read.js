@@ -0,0 +1,189 @@
+import { defaultSettings, extensionName } from "../constants.js";
+import { extension_settings, getContext } from "../../../../extensions.js";
+import {
+	Generate,
+	is_send_press,
+	saveSettingsDebounced,
+} from "../../../../../script.js";
+import { is_group_generating } from "../../../../group-chats.js";
+import { isGroupChat } from "../utils.js";
+import { getMessagePageCount, turnMessagePage } from "./paging.js";
+import { isTypewriterTyping } from "./typewriter.js";
+
+let autoReadTimer = null;
+
+/* Helper Functions */
+function getWordCount(text) {
+	return String(text ?? "")
+		.split(/\s+/)
+		.filter(Boolean).length;
+}
+
+/**
+ * Returns how long it takes to read the given number of words
+ * @param {number} wordCount - The number of words to read
+ * @returns {number} - The reading time in milliseconds
+ */
+function getReadingDelay(wordCount) {
+	const settings = extension_settings[extensionName];
+	const readingTime = (wordCount / Number(settings.autoReadSpeed)) * 60000;
+	return readingTime + Number(settings.autoReadDelay) * 1000;
+}
+
+function isGenerating() {
+	return is_send_press || is_group_generating;
+}
+
+/* Auto Read Functions */
+export function stopAutoReadTimer() {
+	clearTimeout(autoReadTimer);
+	autoReadTimer = null;
+}
+
+/**
+ * Waits long enough to read the last message (or its current page) before moving on
+ */
+export function scheduleAutoRead() {
+	stopAutoReadTimer();
+	if (!extension_settings[extensionName].autoRead) return;
+	// The typewriter schedules again once the text is shown
+	if (isTypewriterTyping()) return;
+
+	const message = getContext().chat.at(-1);
+	if (!message || message.is_user || message.is_system) return;
+
+	// Each page only holds part of the message
+	const wordCount = getWordCount(message.mes) / getMessagePageCount();
+	autoReadTimer = setTimeout(advanceAutoRead, getReadingDelay(wordCount));
+}
+
+function advanceAutoRead() {
+	autoReadTimer = null;
+	if (!extension_settings[extensionName].autoRead) return;
+
+	// A turned page is still being typed out
+	if (isTypewriterTyping()) return;
+
+	// Check back once nothing is generating
+	if (isGenerating()) {
+		autoReadTimer = setTimeout(advanceAutoRead, 500);
+		return;
+	}
+
+	if (turnMessagePage(1)) {
+		scheduleAutoRead();
+		return;
+	}
+
+	// 1:1 chats wait for the user to reply
+	if (!isGroupChat()) return;
+	if (String($("#send_textarea").val()).length > 0) return;
+
+	console.debug(`[${extensionName}] Auto Read: triggering the next group turn`);
+	Generate("normal");
+}
+
+/* Apply Functions */
+export function applyAutoRead() {
+	console.debug(
+		`[${extensionName}] Auto Read?: ${extension_settings[extensionName].autoRead}`,
+	);
+
+	$("body").toggleClass("autoRead", extension_settings[extensionName].autoRead);
+
+	if (extension_settings[extensionName].autoRead) {
+		scheduleAutoRead();
+	} else {
+		stopAutoReadTimer();
+	}
+}
+
+function setAutoRead(value) {
+	extension_settings[extensionName].autoRead = value;
+	$("#prome-auto-read").prop("checked", value);
+	saveSettingsDebounced();
+	applyAutoRead();
+}
+
+/* Action Functions */
+function onAutoRead_Click(event) {
+	setAutoRead(Boolean($(event.target).prop("checked")));
+}
+
+function onAutoReadIndicator_Click() {
+	setAutoRead(false);
+}
+
+// Typing a reply takes over from auto read
+function onSendTextarea_Input() {
+	if (!extension_settings[extensionName].autoRead) return;
+	// ST clears the textarea after sending, which isn't the user typing
+	if (String(this.value).length === 0) return;
+	setAutoRead(false);
+}
+
+function onAutoReadSpeed_Change() {
+	const value = this.value;
+	if (value < 60 || value > 1000) {
+		console.error(`[${extensionName}] Invalid auto read speed value: ${value}`);
+		return;
+	}
+	extension_settings[extensionName].autoReadSpeed = Number(value);
+	$("#prome-auto-read-speed").val(value);
+	$("#prome-auto-read-speed-counter").val(value);
+	saveSettingsDebounced();
+}
+
+function onAutoReadDelay_Change() {
+	const value = this.value;
+	if (value < 0 || value > 10) {
+		console.error(`[${extensionName}] Invalid auto read delay value: ${value}`);
+		return;
+	}
+	extension_settings[extensionName].autoReadDelay = Number(value);
+	$("#prome-auto-read-delay").val(value);
+	$("#prome-auto-read-delay-counter").val(value);
+	saveSettingsDebounced();
+}
+
+/* Reset Functions */
+function resetAutoReadSpeed() {
+	extension_settings[extensionName].autoReadSpeed =
+		defaultSettings.autoReadSpeed;
+	$("#prome-auto-read-speed")
+		.val(defaultSettings.autoReadSpeed)
+		.trigger("input");
+	$("#prome-auto-read-speed-counter").val(defaultSettings.autoReadSpeed);
+	saveSettingsDebounced();
+}
+
+function resetAutoReadDelay() {
+	extension_settings[extensionName].autoReadDelay =
+		defaultSettings.autoReadDelay;
+	$("#prome-auto-read-delay")
+		.val(defaultSettings.autoReadDelay)
+		.trigger("input");
+	$("#prome-auto-read-delay-counter").val(defaultSettings.autoReadDelay);
+	saveSettingsDebounced();
+}
+
+export function setupAutoReadHTML() {
+	const settings = extension_settings[extensionName];
+	$("#prome-auto-read").prop("checked", settings.autoRead);
+	$("#prome-auto-read-speed").val(settings.autoReadSpeed);
+	$("#prome-auto-read-speed-counter").val(settings.autoReadSpeed);
+	$("#prome-auto-read-delay").val(settings.autoReadDelay);
+	$("#prome-auto-read-delay-counter").val(settings.autoReadDelay);
+}
+
+export function setupAutoReadJQuery() {
+	$("#prome-auto-read").on("click", onAutoRead_Click);
+	$("#prome-auto-read-indicator").on("click", onAutoReadIndicator_Click);
+	$("#prome-auto-read-speed").on("input", onAutoReadSpeed_Change);
+	$("#prome-auto-read-speed-counter").on("input", onAutoReadSpeed_Change);
+	$("#prome-auto-read-delay").on("input", onAutoReadDelay_Change);
+	$("#prome-auto-read-delay-counter").on("input", onAutoReadDelay_Change);
+	$("#prome-auto-read-speed-restore").on("click", resetAutoReadSpeed);
+	$("#prome-auto-read-delay-restore").on("click", resetAutoReadDelay);
+	$("#send_textarea").on("input", onSendTextarea_Input);
+}
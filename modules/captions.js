@@ -0,0 +1,281 @@
+import { defaultSettings, extensionName } from "../constants.js";
+import { extension_settings } from "../../../../extensions.js";
+import { saveSettingsDebounced } from "../../../../../script.js";
+
+export const captionPositions = ["top", "bottom"];
+const captionAlignments = ["left", "center", "right"];
+
+// Bumped whenever a caption changes so older hide timers know to stop
+const captionGenerations = { top: 0, bottom: 0 };
+let titleCardGeneration = 0;
+// The fade running on each element, so a newer fade can take over
+const runningFades = new WeakMap();
+
+/* Helper Functions */
+function getCaption(position) {
+	return $(`#prome-caption-${position}`);
+}
+
+function getFadeDuration() {
+	return Number(extension_settings[extensionName].captionFadeDuration) * 1000;
+}
+
+function wait(milliseconds) {
+	return new Promise((resolve) => setTimeout(resolve, milliseconds));
+}
+
+/**
+ * Fades an element in or out
+ * @param {HTMLElement} element - The element to fade
+ * @param {boolean} fadeIn - Whether to fade in (true) or out (false)
+ * @returns {Promise<void>} - Resolves when the fade finishes
+ */
+async function fadeElement(element, fadeIn) {
+	// Start from wherever the previous fade got to
+	const from = Number(window.getComputedStyle(element).opacity);
+	runningFades.get(element)?.cancel();
+
+	const animation = element.animate(
+		[{ opacity: from }, { opacity: fadeIn ? 1 : 0 }],
+		{ duration: getFadeDuration(), easing: "ease-in-out", fill: "forwards" },
+	);
+	runningFades.set(element, animation);
+	try {
+		await animation.finished;
+		animation.commitStyles();
+		animation.cancel();
+	} catch {
+		// Replaced by a newer fade
+	} finally {
+		if (runningFades.get(element) === animation) runningFades.delete(element);
+	}
+}
+
+/* Caption Functions */
+/**
+ * Hides a caption
+ * @param {string} position - The caption position ("top" or "bottom")
+ * @returns {Promise<void>} - Resolves when the caption has faded out
+ */
+export async function hideCaption(position) {
+	const generation = ++captionGenerations[position];
+	const caption = getCaption(position);
+	if (!caption.hasClass("prome-caption-visible")) return;
+
+	await fadeElement(caption[0], false);
+	if (generation !== captionGenerations[position]) return;
+	caption.removeClass("prome-caption-visible").empty();
+}
+
+/**
+ * Shows a caption in the letterbox (or over the stage without a horizontal letterbox)
+ * @param {string} text - The caption text
+ * @param {string} position - The caption position ("top" or "bottom")
+ * @param {number} duration - How long to show the caption in seconds (0 keeps it until it's replaced or cleared)
+ */
+export async function showCaption(text, position, duration) {
+	const generation = ++captionGenerations[position];
+	const caption = getCaption(position);
+	const content = $("<div></div>")
+		.addClass("prome-caption-text")
+		.text(text);
+
+	if (!caption.hasClass("prome-caption-visible")) {
+		caption.css("opacity", 0);
+	}
+	caption.empty().append(content).addClass("prome-caption-visible");
+	await fadeElement(caption[0], true);
+
+	if (duration <= 0) return;
+	await wait(duration * 1000);
+	if (generation !== captionGenerations[position]) return;
+	await hideCaption(position);
+}
+
+/**
+ * Plays a title card: darkens the stage, shows a centered title and reveals the scene again
+ * @param {string} title - The title text
+ * @param {string} [subtitle] - The text under the title
+ * @param {number} duration - How long to hold the title in seconds
+ * @returns {Promise<void>} - Resolves once the scene is revealed
+ */
+export async function playTitleCard(title, subtitle, duration) {
+	const generation = ++titleCardGeneration;
+	const titleCard = $("#prome-title-card");
+	const content = titleCard.children(".prome-title-card-content");
+
+	titleCard.find(".prome-title-card-title").text(title);
+	titleCard
+		.find(".prome-title-card-subtitle")
+		.text(subtitle ?? "")
+		.toggle(Boolean(subtitle));
+
+	titleCard.css("opacity", 0).addClass("prome-title-card-visible");
+	content.css("opacity", 0);
+
+	await fadeElement(titleCard[0], true);
+	if (generation !== titleCardGeneration) return;
+	await fadeElement(content[0], true);
+	if (generation !== titleCardGeneration) return;
+	await wait(duration * 1000);
+	if (generation !== titleCardGeneration) return;
+	await fadeElement(content[0], false);
+	if (generation !== titleCardGeneration) return;
+	await fadeElement(titleCard[0], false);
+	if (generation !== titleCardGeneration) return;
+
+	titleCard.removeClass("prome-title-card-visible");
+}
+
+/* Apply Functions */
+export function applyCaptionStyle() {
+	const settings = extension_settings[extensionName];
+	const rootStyle = document.documentElement.style;
+	rootStyle.setProperty("--prome-caption-font", settings.captionFont);
+	rootStyle.setProperty(
+		"--prome-caption-font-size",
+		`${settings.captionFontSize}px`,
+	);
+	rootStyle.setProperty("--prome-caption-color", settings.captionColor);
+	rootStyle.setProperty("--prome-caption-alignment", settings.captionAlignment);
+}
+
+/* Action Functions */
+function onCaptionFont_Change() {
+	const value = String(this.value).trim();
+	extension_settings[extensionName].captionFont =
+		value || defaultSettings.captionFont;
+	saveSettingsDebounced();
+	applyCaptionStyle();
+}
+
+function onCaptionFontSize_Change() {
+	const value = this.value;
+	if (value < 10 || value > 64) {
+		console.error(`[${extensionName}] Invalid caption font size value: ${value}`);
+		return;
+	}
+	extension_settings[extensionName].captionFontSize = Number(value);
+	$("#prome-caption-font-size").val(value);
+	$("#prome-caption-font-size-counter").val(value);
+	saveSettingsDebounced();
+	applyCaptionStyle();
+}
+
+function onCaptionColor_Change(evt) {
+	const value = evt.detail.rgba;
+	extension_settings[extensionName].captionColor = value;
+	saveSettingsDebounced();
+	applyCaptionStyle();
+}
+
+function onCaptionAlignment_Select() {
+	const value = String(this.value);
+	if (!captionAlignments.includes(value)) {
+		console.error(`[${extensionName}] Invalid caption alignment value: ${value}`);
+		return;
+	}
+	extension_settings[extensionName].captionAlignment = value;
+	saveSettingsDebounced();
+	applyCaptionStyle();
+}
+
+function onCaptionFadeDuration_Change() {
+	const value = this.value;
+	if (value < 0 || value > 5) {
+		console.error(
+			`[${extensionName}] Invalid caption fade duration value: ${value}`,
+		);
+		return;
+	}
+	extension_settings[extensionName].captionFadeDuration = Number(value);
+	$("#prome-caption-fade-duration").val(value);
+	$("#prome-caption-fade-duration-counter").val(value);
+	saveSettingsDebounced();
+}
+
+function onCaptionDuration_Change() {
+	const value = this.value;
+	if (value < 0 || value > 60) {
+		console.error(`[${extensionName}] Invalid caption duration value: ${value}`);
+		return;
+	}
+	extension_settings[extensionName].captionDuration = Number(value);
+	$("#prome-caption-duration").val(value);
+	$("#prome-caption-duration-counter").val(value);
+	saveSettingsDebounced();
+}
+
+/* Reset Functions */
+function resetCaptionFontSize() {
+	extension_settings[extensionName].captionFontSize =
+		defaultSettings.captionFontSize;
+	$("#prome-caption-font-size")
+		.val(defaultSettings.captionFontSize)
+		.trigger("input");
+	$("#prome-caption-font-size-counter").val(defaultSettings.captionFontSize);
+	saveSettingsDebounced();
+}
+
+function resetCaptionColor() {
+	extension_settings[extensionName].captionColor = defaultSettings.captionColor;
+	$("#prome-caption-color-picker").attr("color", defaultSettings.captionColor);
+	saveSettingsDebounced();
+}
+
+function resetCaptionFadeDuration() {
+	extension_settings[extensionName].captionFadeDuration =
+		defaultSettings.captionFadeDuration;
+	$("#prome-caption-fade-duration")
+		.val(defaultSettings.captionFadeDuration)
+		.trigger("input");
+	$("#prome-caption-fade-duration-counter").val(
+		defaultSettings.captionFadeDuration,
+	);
+	saveSettingsDebounced();
+}
+
+function resetCaptionDuration() {
+	extension_settings[extensionName].captionDuration =
+		defaultSettings.captionDuration;
+	$("#prome-caption-duration")
+		.val(defaultSettings.captionDuration)
+		.trigger("input");
+	$("#prome-caption-duration-counter").val(defaultSettings.captionDuration);
+	saveSettingsDebounced();
+}
+
+export function setupCaptionHTML() {
+	const settings = extension_settings[extensionName];
+	$("#prome-caption-font").val(settings.captionFont);
+	$("#prome-caption-font-size").val(settings.captionFontSize);
+	$("#prome-caption-font-size-counter").val(settings.captionFontSize);
+	$("#prome-caption-color-picker").attr("color", settings.captionColor);
+	$("#prome-caption-alignment").val(settings.captionAlignment);
+	$("#prome-caption-fade-duration").val(settings.captionFadeDuration);
+	$("#prome-caption-fade-duration-counter").val(settings.captionFadeDuration);
+	$("#prome-caption-duration").val(settings.captionDuration);
+	$("#prome-caption-duration-counter").val(settings.captionDuration);
+}
+
+export function setupCaptionJQuery() {
+	$("#prome-caption-font").on("change", onCaptionFont_Change);
+	$("#prome-caption-font-size").on("input", onCaptionFontSize_Change);
+	$("#prome-caption-font-size-counter").on("input", onCaptionFontSize_Change);
+	$("#prome-caption-color-picker").on("change", onCaptionColor_Change);
+	$("#prome-caption-alignment").on("change", onCaptionAlignment_Select);
+	$("#prome-caption-fade-duration").on("input", onCaptionFadeDuration_Change);
+	$("#prome-caption-fade-duration-counter").on(
+		"input",
+		onCaptionFadeDuration_Change,
+	);
+	$("#prome-caption-duration").on("input", onCaptionDuration_Change);
+	$("#prome-caption-duration-counter").on("input", onCaptionDuration_Change);
+	$("#prome-caption-font-size-restore").on("click", resetCaptionFontSize);
+	$("#prome-caption-color-restore").on("click", resetCaptionColor);
+	$("#prome-caption-fade-duration-restore").on(
+		"click",
+		resetCaptionFadeDuration,
+	);
+	$("#prome-caption-duration-restore").on("click", resetCaptionDuration);
+}
@@ -0,0 +1,281 @@
+import {
+	getContext,
+	renderExtensionTemplateAsync,
+} from "../../../../extensions.js";
+import { download, timestampToMoment } from "../../../../utils.js";
+import { messageFormatting } from "../../../../../script.js";
+import { CHAT_EXPORT_FORMATS, extensionName } from "../constants.js";
+import { getChatId } from "../utils.js";
+import { buildChatHistoryItem } from "./chat-history.js";
+import { buildRenpyScript } from "./renpy-export.js";
+
+// Keeps the exported HTML readable without SillyTavern's stylesheets
+const htmlExportStyle = `
+body { max-width: 50em; margin: 2em auto; padding: 0 1em; background: #1c1c24; color: #dcdcd2; font-family: sans-serif; line-height: 1.5; }
+.promeChatHistoryItem { margin-bottom: 1.5em; }
+.promeChatHistoryItemSender > div:first-child { display: flex; align-items: center; gap: 0.6em; }
+.avatar img { width: 3em; height: 3em; border-radius: 50%; object-fit: cover; object-position: top; }
+.promeChatHistoryItemSenderName { font-weight: bold; }
+.promeChatHistoryItemSenderTimestamp { opacity: 0.6; }
+.promeChatHistorySwipes { margin-top: 0.5em; opacity: 0.8; }
+q, .mes_text q { color: #e1c682; }
+em { color: #a0a0a8; }
+img { max-width: 100%; }
+pre { white-space: pre-wrap; }
+`;
+
+/* Helper Functions */
+/**
+ * Picks the messages to export
+ * @param {object} options - The export options
+ * @param {string} [options.speaker] - Only export this speaker's messages
+ * @param {number} [options.from] - The first message index
+ * @param {number} [options.to] - The last message index
+ * @returns {number[]} - The message indexes
+ */
+function getExportMessageIds({ speaker, from, to }) {
+	const chat = getContext().chat;
+	const firstId = Math.max(0, Number.isFinite(from) ? from : 0);
+	const lastId = Math.min(
+		chat.length - 1,
+		Number.isFinite(to) ? to : chat.length - 1,
+	);
+
+	const messageIds = [];
+	for (let messageId = firstId; messageId <= lastId; messageId++) {
+		if (speaker && chat[messageId].name !== speaker) continue;
+		messageIds.push(messageId);
+	}
+	return messageIds;
+}
+
+/**
+ * Returns the swipes of a message other than the one in the chat
+ * @param {object} mes - The chat message
+ * @returns {string[]} - The other swipes
+ */
+function getOtherSwipes(mes) {
+	if (!Array.isArray(mes.swipes) || mes.swipes.length < 2) return [];
+	return mes.swipes.filter((_, index) => index !== mes.swipe_id);
+}
+
+function getTimestamp(mes) {
+	const momentDate = timestampToMoment(mes.send_date);
+	return momentDate.isValid() ? momentDate.format("LL LT") : "";
+}
+
+/**
+ * Turns a message into plain text the way the history renders it
+ * @param {object} mes - The chat message
+ * @param {number} messageId - The message index
+ * @param {string} text - The message (or swipe) text
+ * @returns {string} - The plain text
+ */
+function formatPlainText(mes, messageId, text) {
+	const element = $("<div></div>").html(
+		messageFormatting(text, mes.name, mes.is_system, mes.is_user, messageId),
+	);
+	element.find("br").replaceWith("\n");
+	element.find("p, div, li, pre, blockquote").after("\n");
+	return element
+		.text()
+		.replace(/\n{2,}/g, "\n")
+		.trim();
+}
+
+/**
+ * Reads an image into a data URL so the exported file doesn't need the server
+ * @param {string} src - The image URL
+ * @param {Map<string, string>} cache - Images that were already read
+ * @returns {Promise<string>} - The data URL (or the original URL if it can't be read)
+ */
+async function getImageDataUrl(src, cache) {
+	if (!src || src.startsWith("data:")) return src;
+	if (cache.has(src)) return cache.get(src);
+
+	let dataUrl = src;
+	try {
+		const response = await fetch(src);
+		if (response.ok) {
+			const blob = await response.blob();
+			dataUrl = await new Promise((resolve, reject) => {
+				const reader = new FileReader();
+				reader.onload = () => resolve(String(reader.result));
+				reader.onerror = () => reject(reader.error);
+				reader.readAsDataURL(blob);
+			});
+		}
+	} catch (err) {
+		console.error(`[${extensionName}] Could not embed image: ${src}`, err);
+	}
+
+	cache.set(src, dataUrl);
+	return dataUrl;
+}
+
+/* Export Formats */
+async function buildHtmlExport(messageIds, includeSwipes) {
+	const context = getContext();
+	const template = $(
+		await renderExtensionTemplateAsync(
+			`third-party/${extensionName}/html`,
+			"chat_history",
+		),
+	);
+	const itemTemplate = template.find(
+		".promeChatHistoryItemTemplate .promeChatHistoryItem",
+	);
+	const imageCache = new Map();
+	const list = $("<div></div>").addClass("promeChatHistoryList");
+
+	for (const messageId of messageIds) {
+		const mes = context.chat[messageId];
+		const item = buildChatHistoryItem(itemTemplate, messageId);
+		item.find(".promeChatHistoryItemJump").remove();
+
+		const swipes = includeSwipes ? getOtherSwipes(mes) : [];
+		if (swipes.length > 0) {
+			const details = $("<details></details>")
+				.addClass("promeChatHistorySwipes")
+				.append(
+					$("<summary></summary>").text(`Other swipes (${swipes.length})`),
+				);
+			for (const swipe of swipes) {
+				details.append(
+					$("<div></div>")
+						.addClass("mes_text")
+						.html(
+							messageFormatting(
+								swipe,
+								mes.name,
+								mes.is_system,
+								mes.is_user,
+								messageId,
+							),
+						),
+				);
+			}
+			item.find(".promeChatHistoryItemSender").append(details);
+		}
+
+		for (const image of item.find("img").toArray()) {
+			image.src = await getImageDataUrl(
+				image.getAttribute("src"),
+				imageCache,
+			);
+		}
+		list.append(item);
+	}
+
+	const title = $("<div></div>").text(getChatId() ?? "Chat").html();
+	return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8" />
+<title>${title}</title>
+<style>${htmlExportStyle}</style>
+</head>
+<body>
+<h1>${title}</h1>
+${list.prop("outerHTML")}
+</body>
+</html>
+`;
+}
+
+function buildMarkdownExport(messageIds, includeSwipes) {
+	const chat = getContext().chat;
+	const lines = [`# ${getChatId() ?? "Chat"}`, ""];
+
+	for (const messageId of messageIds) {
+		const mes = chat[messageId];
+		const timestamp = getTimestamp(mes);
+		lines.push(`**${mes.name}**${timestamp ? ` · *${timestamp}*` : ""}`, "");
+		lines.push(String(mes.mes ?? "").trim(), "");
+
+		const swipes = includeSwipes ? getOtherSwipes(mes) : [];
+		swipes.forEach((swipe, index) => {
+			const quoted = String(swipe).trim().replace(/\n/g, "\n> ");
+			lines.push(`> **Swipe ${index + 1}:** ${quoted}`, "");
+		});
+	}
+
+	return lines.join("\n");
+}
+
+function buildScreenplayExport(messageIds, includeSwipes) {
+	const chat = getContext().chat;
+	const lines = [];
+
+	for (const messageId of messageIds) {
+		const mes = chat[messageId];
+		const name = String(mes.name ?? "").toUpperCase();
+		const entries = [[name, mes.mes]];
+		if (includeSwipes) {
+			getOtherSwipes(mes).forEach((swipe, index) => {
+				entries.push([`${name} (SWIPE ${index + 1})`, swipe]);
+			});
+		}
+
+		for (const [speaker, text] of entries) {
+			// Follow-up lines line up under the first one
+			const indent = " ".repeat(speaker.length + 2);
+			const plainText = formatPlainText(mes, messageId, text);
+			const screenplayText = plainText.replace(/\n/g, `\n${indent}`);
+			lines.push(`${speaker}: ${screenplayText}`, "");
+		}
+	}
+
+	return lines.join("\n");
+}
+
+/**
+ * Downloads the current chat as a transcript
+ * @param {object} options - The export options
+ * @param {string} options.format - One of CHAT_EXPORT_FORMATS
+ * @param {string} [options.speaker] - Only export this speaker's messages
+ * @param {number} [options.from] - The first message index
+ * @param {number} [options.to] - The last message index
+ * @param {boolean} [options.includeSwipes=false] - Whether to add the other swipes of each message (not for Ren'Py scripts)
+ */
+export async function exportChatHistory(options) {
+	const { format, includeSwipes = false } = options;
+	const messageIds = getExportMessageIds(options);
+	if (messageIds.length === 0) {
+		toastr.warning("No messages match the export options.", "Chat Export");
+		return;
+	}
+
+	const fileName = getChatId() ?? "chat";
+	switch (format) {
+		case CHAT_EXPORT_FORMATS.HTML:
+			download(
+				await buildHtmlExport(messageIds, includeSwipes),
+				`${fileName}.html`,
+				"text/html",
+			);
+			break;
+		case CHAT_EXPORT_FORMATS.MARKDOWN:
+			download(
+				buildMarkdownExport(messageIds, includeSwipes),
+				`${fileName}.md`,
+				"text/markdown",
+			);
+			break;
+		case CHAT_EXPORT_FORMATS.SCREENPLAY:
+			download(
+				buildScreenplayExport(messageIds, includeSwipes),
+				`${fileName}.txt`,
+				"text/plain",
+			);
+			break;
+		case CHAT_EXPORT_FORMATS.RENPY:
+			download(buildRenpyScript(messageIds), `${fileName}.rpy`, "text/plain");
+			break;
+		default:
+			console.error(`[${extensionName}] Invalid chat export format: ${format}`);
+			return;
+	}
+
+	toastr.success(`Exported ${messageIds.length} messages.`, "Chat Export");
+}
@@ -1,8 +1,14 @@
 import {
+	extension_settings,
 	getContext,
 	renderExtensionTemplateAsync,
 } from "../../../../extensions.js";
-import { timestampToMoment } from "../../../../utils.js";
+import {
+	debounce,
+	escapeRegex,
+	timestampToMoment,
+} from "../../../../utils.js";
+import { debounce_timeout } from "../../../../constants.js";
 import { getUserAvatar, user_avatar } from "../../../../personas.js";
 import {
 	system_avatar,
@@ -13,94 +19,479 @@ import {
 	addCopyToCodeBlocks,
 } from "../../../../../script.js";
 import { extensionName } from "../constants.js";
-import { POPUP_TYPE, callGenericPopup } from "../../../../popup.js";
+import { POPUP_RESULT, POPUP_TYPE, Popup } from "../../../../popup.js";
+import { rollBackTo } from "./rollback.js";
+import { exportChatHistory } from "./chat-export.js";
+import { isGroupChat, isUserSpriteEnabled } from "../utils.js";
+
+// Rough height of an entry that hasn't been rendered yet (in pixels)
+const estimatedItemHeight = 120;
+// Entries rendered above and below the visible window
+const overscanItems = 4;
+
+/* Avatar Functions */
+/**
+ * Returns the id of the sprite holder that shows a message's speaker
+ * @param {object} mes - The chat message
+ * @returns {string} - The sprite holder id
+ */
+function getSpriteHolderId(mes) {
+	if (mes.is_user) return "expression-prome-user";
+	if (isGroupChat()) return `expression-${mes.original_avatar}`;
+	return "expression-holder";
+}
+
+/**
+ * Finds the sprite the speaker had for a message, if it's known
+ * @param {object} mes - The chat message
+ * @param {number} messageId - The message index
+ * @returns {string|null} - The sprite image URL
+ */
+export function getMessageSprite(mes, messageId) {
+	if (mes.is_system) return null;
+	if (mes.is_user && !isUserSpriteEnabled()) return null;
+
+	const holderId = getSpriteHolderId(mes);
+	const recordedSprite = mes.extra?.prome_stage?.sprites?.[holderId];
+	if (recordedSprite) return recordedSprite;
 
+	// Only the last message is still on the stage
+	if (messageId !== getContext().chat.length - 1) return null;
+	const wrapper = isGroupChat()
+		? "#visual-novel-wrapper"
+		: "#expression-wrapper";
+	const src = $(`${wrapper} [id="${holderId}"] img`).attr("src");
+	return src || null;
+}
+
+/**
+ * Returns the avatar of whoever sent a message, even in group chats
+ * @param {object} mes - The chat message
+ * @returns {string} - The avatar image URL
+ */
 function getChatAvatar(mes) {
 	const context = getContext();
-	const this_chid = context.characterId;
-	let avatarImg = getUserAvatar(user_avatar);
-
-	if (!mes.is_user) {
-		if (mes.force_avatar) {
-			avatarImg = mes.force_avatar;
-		} else if (this_chid === undefined) {
-			avatarImg = system_avatar;
-		} else {
-			if (context.characters[this_chid].avatar !== "none") {
-				avatarImg = getThumbnailUrl(
-					"avatar",
-					context.characters[this_chid].avatar,
-				);
-			} else {
-				avatarImg = default_avatar;
-			}
+
+	if (mes.force_avatar) return mes.force_avatar;
+	if (mes.is_user) return getUserAvatar(user_avatar);
+	if (mes.is_system) return system_avatar;
+
+	// Group messages remember their speaker, the current character may be anyone
+	const character = mes.original_avatar
+		? context.characters.find((x) => x.avatar === mes.original_avatar)
+		: !isGroupChat() && context.characters[context.characterId];
+	if (!character) return system_avatar;
+	if (character.avatar === "none") return default_avatar;
+	return getThumbnailUrl("avatar", character.avatar);
+}
+
+function getMessageDate(mes) {
+	const momentDate = timestampToMoment(mes.send_date);
+	return momentDate.isValid() ? momentDate.format("YYYY-MM-DD") : "";
+}
+
+/* Search Functions */
+/**
+ * Lists everyone who spoke in the chat, in the order they first appear
+ * @param {object[]} chat - The chat messages
+ * @returns {string[]} - The speaker names
+ */
+function getChatSpeakers(chat) {
+	const speakers = chat
+		.filter((mes) => !mes.is_system && mes.name)
+		.map((mes) => mes.name);
+	return [...new Set(speakers)];
+}
+
+/**
+ * Builds the regex used to find and highlight search hits
+ * @param {string} query - The search box contents
+ * @param {boolean} useRegex - Whether the query is a regular expression
+ * @returns {RegExp|null} - The regex (null for an empty query)
+ * @throws {SyntaxError} - If the query isn't a valid regular expression
+ */
+function buildSearchRegex(query, useRegex) {
+	if (query.length === 0) return null;
+	return new RegExp(useRegex ? query : escapeRegex(query), "gi");
+}
+
+function matchesSearch(regex, text) {
+	if (!regex) return true;
+	// Global regexes keep state between calls
+	regex.lastIndex = 0;
+	return regex.test(text);
+}
+
+/**
+ * Returns the text of a message as the history shows it, so searches match what gets highlighted
+ * @param {object} mes - The chat message
+ * @param {number} messageId - The message index
+ * @returns {string} - The rendered text
+ */
+function getSearchText(mes, messageId) {
+	const html = messageFormatting(
+		mes.mes,
+		mes.name,
+		mes.is_system,
+		mes.is_user,
+		messageId,
+	);
+	// Parsed into an inert document so images don't start loading
+	return new DOMParser().parseFromString(html, "text/html").body.textContent;
+}
+
+/**
+ * Wraps the search hits in the rendered message text with <mark> elements
+ * @param {JQuery<HTMLElement>} element - The rendered message text
+ * @param {RegExp} regex - The search regex
+ */
+function highlightMatches(element, regex) {
+	const walker = document.createTreeWalker(element[0], NodeFilter.SHOW_TEXT);
+	const textNodes = [];
+	while (walker.nextNode()) textNodes.push(walker.currentNode);
+
+	// Search the whole text like the filter does, hits can span formatting
+	const text = textNodes.map((node) => node.nodeValue).join("");
+	const hits = [];
+	for (const match of text.matchAll(regex)) {
+		// Empty matches (e.g. /a*/) would never end
+		if (match[0].length === 0) continue;
+		hits.push([match.index, match.index + match[0].length]);
+	}
+	if (hits.length === 0) return;
+
+	let nodeStart = 0;
+	for (const node of textNodes) {
+		const nodeText = node.nodeValue;
+		const nodeEnd = nodeStart + nodeText.length;
+		const fragment = document.createDocumentFragment();
+		let lastIndex = 0;
+
+		for (const [hitStart, hitEnd] of hits) {
+			if (hitEnd <= nodeStart || hitStart >= nodeEnd) continue;
+
+			const start = Math.max(hitStart, nodeStart) - nodeStart;
+			const end = Math.min(hitEnd, nodeEnd) - nodeStart;
+			fragment.append(nodeText.slice(lastIndex, start));
+			const mark = document.createElement("mark");
+			mark.className = "promeChatHistoryHit";
+			mark.textContent = nodeText.slice(start, end);
+			fragment.append(mark);
+			lastIndex = end;
 		}
-	} else if (mes.is_user && mes.force_avatar) {
-		avatarImg = mes.force_avatar;
+
+		nodeStart = nodeEnd;
+		if (lastIndex === 0) continue;
+		fragment.append(nodeText.slice(lastIndex));
+		node.replaceWith(fragment);
 	}
+}
+
+/**
+ * Builds the history entry for a message. The popup and the HTML export both
+ * use this, so exported transcripts look like the history.
+ * @param {JQuery<HTMLElement>} itemTemplate - The .promeChatHistoryItem template
+ * @param {number} messageId - The message index
+ * @returns {JQuery<HTMLElement>} - The rendered entry
+ */
+export function buildChatHistoryItem(itemTemplate, messageId) {
+	const mes = getContext().chat[messageId];
+
+	// setup the chat history item
+	const promeChatHistoryItemTemplate = itemTemplate
+		.clone()
+		.attr("data-mesid", messageId);
+	const sprite = getMessageSprite(mes, messageId);
+	promeChatHistoryItemTemplate
+		.find(".promeChatHistoryItemSenderAvatar")
+		.attr("src", sprite ?? getChatAvatar(mes))
+		.toggleClass("promeChatHistoryItemSpriteAvatar", Boolean(sprite));
+	promeChatHistoryItemTemplate
+		.find(".promeChatHistoryItemSenderName")
+		.text(mes.name);
+
+	const momentDate = timestampToMoment(mes.send_date);
+	const timestamp = momentDate.isValid() ? momentDate.format("LL LT") : "";
+	promeChatHistoryItemTemplate
+		.find(".promeChatHistoryItemSenderTimestamp")
+		.text(timestamp);
 
-	return avatarImg;
+	const messageText = messageFormatting(
+		mes.mes,
+		mes.name,
+		mes.is_system,
+		mes.is_user,
+		messageId,
+	);
+	promeChatHistoryItemTemplate
+		.find(".promeChatHistoryItemSenderText")
+		.append(messageText);
+
+	appendMediaToMessage(mes, promeChatHistoryItemTemplate);
+	addCopyToCodeBlocks(promeChatHistoryItemTemplate);
+	return promeChatHistoryItemTemplate;
 }
 
 export async function getChatHistory() {
-	async function renderChatHistory() {
-		// get the chat history render
-		const promeChatHistoryItemList = template.find(".promeChatHistoryList");
-		promeChatHistoryItemList.empty();
-		const chatHistory = context.chat;
-		// skip first message in chat if it's a group chat
-
-		for (const mes of chatHistory) {
-			let messageText = mes.mes;
-
-			// setup the chat history item
-			const promeChatHistoryItemTemplate = template
-				.find(".promeChatHistoryItemTemplate .promeChatHistoryItem")
-				.clone();
-			promeChatHistoryItemTemplate
-				.find(".promeChatHistoryItemSenderAvatar")
-				.attr("src", getChatAvatar(mes));
-			promeChatHistoryItemTemplate
-				.find(".promeChatHistoryItemSenderName")
-				.text(mes.name);
-
-			const momentDate = timestampToMoment(mes.send_date);
-			const timestamp = momentDate.isValid() ? momentDate.format("LL LT") : "";
-			promeChatHistoryItemTemplate
-				.find(".promeChatHistoryItemSenderTimestamp")
-				.text(timestamp);
-
-			messageText = messageFormatting(
-				messageText,
-				mes.name,
-				mes.is_system,
-				mes.is_user,
-				context.chat.indexOf(mes),
+	// Entries are only built once they scroll into view
+	function renderChatHistoryItem(messageId) {
+		const promeChatHistoryItemTemplate = buildChatHistoryItem(
+			template.find(".promeChatHistoryItemTemplate .promeChatHistoryItem"),
+			messageId,
+		);
+
+		if (searchRegex) {
+			highlightMatches(
+				promeChatHistoryItemTemplate.find(".promeChatHistoryItemSenderText"),
+				searchRegex,
+			);
+		}
+
+		promeChatHistoryItemTemplate
+			.find(".promeChatHistoryItemJump")
+			.toggleClass("displayNone", Boolean(context.chat[messageId].is_system))
+			.on("click", () => onChatHistoryJump_Click(messageId));
+		return promeChatHistoryItemTemplate;
+	}
+
+	function getItemHeight(messageId) {
+		return itemHeights.get(messageId) ?? estimatedItemHeight;
+	}
+
+	/**
+	 * Finds the entry at a scroll position
+	 * @param {number} offset - The offset from the top of the list
+	 * @returns {{index: number, top: number}} - The index in the shown messages and where that entry starts
+	 */
+	function findItemAtOffset(offset) {
+		let top = 0;
+		for (let index = 0; index < shownMessageIds.length; index++) {
+			const height = getItemHeight(shownMessageIds[index]);
+			if (top + height > offset) return { index, top };
+			top += height;
+		}
+		return { index: shownMessageIds.length, top };
+	}
+
+	function getItemsHeight(startIndex, endIndex) {
+		let height = 0;
+		for (let index = startIndex; index < endIndex; index++) {
+			height += getItemHeight(shownMessageIds[index]);
+		}
+		return height;
+	}
+
+	// Renders the entries in (and just around) the visible part of the list
+	function renderVisibleItems() {
+		const list = listViewport[0];
+		const anchor = findItemAtOffset(list.scrollTop);
+		const anchorOffset = list.scrollTop - anchor.top;
+
+		const startIndex = Math.max(0, anchor.index - overscanItems);
+		const end = findItemAtOffset(list.scrollTop + list.clientHeight);
+		const endIndex = Math.min(
+			shownMessageIds.length,
+			end.index + 1 + overscanItems,
+		);
+		const visibleIds = shownMessageIds.slice(startIndex, endIndex);
+
+		// Entries that scrolled out of view are dropped, the rest are kept as they are
+		for (const [messageId, item] of renderedItems) {
+			if (!visibleIds.includes(messageId)) {
+				item.remove();
+				renderedItems.delete(messageId);
+			}
+		}
+
+		const items = visibleIds.map((messageId) => {
+			if (!renderedItems.has(messageId)) {
+				renderedItems.set(messageId, renderChatHistoryItem(messageId));
+			}
+			return renderedItems.get(messageId);
+		});
+		listItems.append(items);
+
+		topSpacer.height(getItemsHeight(0, startIndex));
+		bottomSpacer.height(getItemsHeight(endIndex, shownMessageIds.length));
+
+		// Swap the estimates for real heights, keeping the entry at the top in place
+		for (const [messageId, item] of renderedItems) {
+			itemHeights.set(messageId, item.outerHeight(true));
+		}
+		topSpacer.height(getItemsHeight(0, startIndex));
+		bottomSpacer.height(getItemsHeight(endIndex, shownMessageIds.length));
+		if (anchor.index < shownMessageIds.length) {
+			list.scrollTop = getItemsHeight(0, anchor.index) + anchorOffset;
+		}
+	}
+
+	function scrollChatHistoryToBottom() {
+		const list = listViewport[0];
+		// Heights get measured on the way down, so settle a few times
+		for (let attempt = 0; attempt < 3; attempt++) {
+			list.scrollTop = list.scrollHeight;
+			renderVisibleItems();
+			list.scrollTop = list.scrollHeight;
+		}
+	}
+
+	function onChatHistory_Scroll() {
+		if (scrollFrame) return;
+		scrollFrame = requestAnimationFrame(() => {
+			scrollFrame = null;
+			renderVisibleItems();
+		});
+	}
+
+	function renderSpeakerFilter() {
+		const speakerSelect = template.find(".promeChatHistorySpeaker");
+		for (const speaker of getChatSpeakers(context.chat)) {
+			speakerSelect.append($("<option></option>").val(speaker).text(speaker));
+		}
+	}
+
+	// Formatting is slow, so each message is only formatted for the first search
+	function getMessageSearchText(messageId) {
+		if (!searchTexts.has(messageId)) {
+			searchTexts.set(
+				messageId,
+				getSearchText(context.chat[messageId], messageId),
 			);
-			promeChatHistoryItemTemplate
-				.find(".promeChatHistoryItemSenderText")
-				.append(messageText);
+		}
+		return searchTexts.get(messageId);
+	}
+
+	// Picks the messages that pass every filter and shows them from the bottom
+	function filterChatHistory() {
+		const searchInput = template.find(".promeChatHistorySearch");
+		const speaker = String(template.find(".promeChatHistorySpeaker").val());
+		const dateFrom = String(template.find(".promeChatHistoryDateFrom").val());
+		const dateTo = String(template.find(".promeChatHistoryDateTo").val());
+		const hideSystem = template
+			.find(".promeChatHistoryHideSystem")
+			.prop("checked");
+
+		try {
+			searchRegex = buildSearchRegex(
+				String(searchInput.val()),
+				template.find(".promeChatHistoryRegex").prop("checked"),
+			);
+			searchInput.removeClass("promeChatHistorySearchInvalid");
+		} catch {
+			// Keep the last results until the regex is valid again
+			searchInput.addClass("promeChatHistorySearchInvalid");
+			return;
+		}
+
+		shownMessageIds = [];
+		for (const [messageId, mes] of context.chat.entries()) {
+			if (hideSystem && mes.is_system) continue;
+			if (speaker && mes.name !== speaker) continue;
+			if (dateFrom || dateTo) {
+				const date = getMessageDate(mes);
+				if (!date || (dateFrom && date < dateFrom)) continue;
+				if (dateTo && date > dateTo) continue;
+			}
+			if (
+				searchRegex &&
+				!matchesSearch(searchRegex, getMessageSearchText(messageId))
+			) {
+				continue;
+			}
+			shownMessageIds.push(messageId);
+		}
 
-			appendMediaToMessage(mes, promeChatHistoryItemTemplate);
-			addCopyToCodeBlocks(promeChatHistoryItemTemplate);
+		// Highlights change with the search, so every entry is rebuilt
+		listItems.empty();
+		renderedItems.clear();
+		template
+			.find(".promeChatHistoryCount")
+			.text(`${shownMessageIds.length} of ${context.chat.length} messages`);
+		scrollChatHistoryToBottom();
+	}
 
-			// append the chat history item to the chat history list
-			promeChatHistoryItemList.append(promeChatHistoryItemTemplate);
+	// Rolls the stage back to the message and closes the history
+	async function onChatHistoryJump_Click(messageId) {
+		const settings = extension_settings[extensionName];
+		if (!settings.enableVN_UI || !settings.showOnlyLastMessage) {
+			toastr.warning(
+				"Jumping to a message requires Traditional VN Mode.",
+				"Chat History",
+			);
+			return;
 		}
+		if (!settings.rollback) {
+			toastr.warning(
+				"Enable Mouse Wheel Rollback in the Sheld Configuration to jump to a message.",
+				"Chat History",
+			);
+			return;
+		}
+
+		await popup.complete(POPUP_RESULT.AFFIRMATIVE);
+		await rollBackTo(messageId);
+	}
+
+	async function onChatHistoryExport_Click() {
+		const from = template.find(".promeChatHistoryExportFrom").val();
+		const to = template.find(".promeChatHistoryExportTo").val();
+		await exportChatHistory({
+			format: String(template.find(".promeChatHistoryExportFormat").val()),
+			speaker: String(template.find(".promeChatHistorySpeaker").val()),
+			from: from === "" ? undefined : Number(from),
+			to: to === "" ? undefined : Number(to),
+			includeSwipes: template
+				.find(".promeChatHistoryExportSwipes")
+				.prop("checked"),
+		});
 	}
 
 	const context = getContext();
+	// Measured entry heights survive filtering, rendered entries don't
+	const itemHeights = new Map();
+	const renderedItems = new Map();
+	let shownMessageIds = [];
+	let searchRegex = null;
+	const searchTexts = new Map();
+	let scrollFrame = null;
+	const filterChatHistoryDebounced = debounce(
+		filterChatHistory,
+		debounce_timeout.quick,
+	);
 	const template = $(
 		await renderExtensionTemplateAsync(
 			`third-party/${extensionName}/html`,
 			"chat_history",
 		),
 	);
-	await renderChatHistory();
-	await callGenericPopup(template, POPUP_TYPE.TEXT, "", {
+	const listViewport = template.find(".promeChatHistoryList");
+	const topSpacer = $("<div></div>").addClass("promeChatHistorySpacer");
+	const listItems = $("<div></div>").addClass("promeChatHistoryItems");
+	const bottomSpacer = $("<div></div>").addClass("promeChatHistorySpacer");
+	listViewport.append(topSpacer, listItems, bottomSpacer);
+
+	renderSpeakerFilter();
+	listViewport.on("scroll", onChatHistory_Scroll);
+	template
+		.find(".promeChatHistorySearch")
+		.on("input", filterChatHistoryDebounced);
+	template
+		.find(
+			".promeChatHistoryRegex, .promeChatHistorySpeaker, .promeChatHistoryDateFrom, .promeChatHistoryDateTo, .promeChatHistoryHideSystem",
+		)
+		.on("input", filterChatHistory);
+	template
+		.find(".promeChatHistoryExportButton")
+		.on("click", onChatHistoryExport_Click);
+
+	const popup = new Popup(template, POPUP_TYPE.TEXT, "", {
 		wide: true,
 		large: true,
 		okButton: "Close",
-		allowVerticalScrolling: true,
 	});
+	// Entries can only be measured once the popup is on screen
+	const closed = popup.show();
+	filterChatHistory();
+	await closed;
+	cancelAnimationFrame(scrollFrame);
 }
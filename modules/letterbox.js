@@ -1,7 +1,7 @@
 import { extensionName, defaultSettings, VN_MODES } from "../constants.js";
 import { extension_settings } from "../../../../extensions.js";
 import { saveSettingsDebounced } from "../../../../../script.js";
-import { isLetterboxModeEnabled } from "../utils.js";
+import { easingFunctions } from "../utils.js";
 
 /* Letterbox Functions */
 function resetLetterBoxSize() {
@@ -14,6 +14,18 @@ function resetLetterBoxSize() {
 	saveSettingsDebounced();
 }
 
+function resetLetterboxAnimationDuration() {
+	extension_settings[extensionName].letterboxAnimationDuration =
+		defaultSettings.letterboxAnimationDuration;
+	$("#prome-letterbox-animation-duration")
+		.val(defaultSettings.letterboxAnimationDuration)
+		.trigger("input");
+	$("#prome-letterbox-animation-duration-counter").val(
+		defaultSettings.letterboxAnimationDuration,
+	);
+	saveSettingsDebounced();
+}
+
 function resetLetterBoxColor() {
 	extension_settings[extensionName].letterboxColor =
 		defaultSettings.letterboxColor;
@@ -54,19 +66,148 @@ export function applyLetterboxColor() {
 	);
 }
 
+/**
+ * Parses an aspect ratio such as "2.39", "2.39:1" or "16:9"
+ * @param {string|number} value - The aspect ratio
+ * @returns {number|null} - The width/height ratio, or null if invalid
+ */
+export function parseAspectRatio(value) {
+	const match = String(value ?? "")
+		.trim()
+		.match(/^(\d+(?:\.\d+)?)(?:\s*[:/x]\s*(\d+(?:\.\d+)?))?$/);
+	if (!match) return null;
+
+	const ratio = Number(match[1]) / Number(match[2] ?? 1);
+	if (!Number.isFinite(ratio) || ratio < 0.25 || ratio > 4) return null;
+	return ratio;
+}
+
+/**
+ * Returns which bars a letterbox mode uses.
+ * Aspect-ratio mode uses whichever bars fit the viewport.
+ * @param {number} mode - The letterbox mode
+ * @returns {number} - VN_MODES.HORIZONTAL, VN_MODES.VERTICAL or VN_MODES.NONE
+ */
+function getLetterboxOrientation(mode) {
+	if (mode !== VN_MODES.RATIO) return mode;
+
+	const ratio = Number(extension_settings[extensionName].letterboxRatio);
+	return window.innerWidth / window.innerHeight > ratio
+		? VN_MODES.VERTICAL
+		: VN_MODES.HORIZONTAL;
+}
+
 export function applyLetterboxSize() {
+	const rootStyle = document.documentElement.style;
+
+	if (displayedLetterboxMode === VN_MODES.RATIO) {
+		const ratio = Number(extension_settings[extensionName].letterboxRatio);
+		const { innerWidth: width, innerHeight: height } = window;
+		const size =
+			getLetterboxOrientation(VN_MODES.RATIO) === VN_MODES.VERTICAL
+				? (width - height * ratio) / 2
+				: (height - width / ratio) / 2;
+		rootStyle.setProperty("--prome-letterbox-size", `${Math.max(size, 0)}px`);
+		return;
+	}
+
 	let direction = "vw";
-	if (extension_settings[extensionName].letterboxMode === VN_MODES.HORIZONTAL) {
+	if (displayedLetterboxMode === VN_MODES.HORIZONTAL) {
 		direction = "vh";
 	}
-	document.documentElement.style.setProperty(
+	rootStyle.setProperty(
 		"--prome-letterbox-size",
 		`${extension_settings[extensionName].letterboxSize}${direction}`,
 	);
 }
 
-// Enables/Disables Letterbox Mode
-export function applyLetterboxMode() {
+/* Letterbox Animation Functions */
+// Bumped on every mode change so older animations know to stop
+let letterboxGeneration = 0;
+// The mode the bars are currently laid out for (lags behind during an exit)
+let displayedLetterboxMode = VN_MODES.NONE;
+let letterboxAnimating = false;
+
+function getLetterboxBars() {
+	return $("#visual-novel-letterbox-one, #visual-novel-letterbox-two");
+}
+
+function setLetterboxClasses(mode) {
+	const orientation = getLetterboxOrientation(mode);
+	$("body").toggleClass("hLetterBox", orientation === VN_MODES.HORIZONTAL);
+	$("body").toggleClass("vLetterBox", orientation === VN_MODES.VERTICAL);
+	displayedLetterboxMode = mode;
+	applyLetterboxSize();
+}
+
+/**
+ * Waits for the bars to finish sliding
+ * @param {number} generation - The generation of the animation
+ * @returns {Promise<boolean>} - Whether the animation is still current
+ */
+function waitForLetterbox(generation) {
+	const duration = Number(
+		extension_settings[extensionName].letterboxAnimationDuration,
+	);
+	return new Promise((resolve) => {
+		setTimeout(
+			() => resolve(generation === letterboxGeneration),
+			duration * 1000,
+		);
+	});
+}
+
+// Shows the bars in their final state without animating
+function snapLetterbox(mode) {
+	const bars = getLetterboxBars();
+	bars.addClass("prome-letterbox-instant");
+	setLetterboxClasses(mode);
+	bars.toggleClass("prome-letterbox-hidden", mode === VN_MODES.NONE);
+	bars.toggle(mode !== VN_MODES.NONE);
+	letterboxAnimating = false;
+}
+
+async function animateLetterbox(mode, generation) {
+	const bars = getLetterboxBars();
+	letterboxAnimating = true;
+	bars.removeClass("prome-letterbox-instant");
+
+	// Slide the current bars out first
+	if (
+		displayedLetterboxMode !== VN_MODES.NONE &&
+		displayedLetterboxMode !== mode
+	) {
+		bars.addClass("prome-letterbox-hidden");
+		if (!(await waitForLetterbox(generation))) return;
+	}
+
+	if (mode === VN_MODES.NONE) {
+		setLetterboxClasses(mode);
+		bars.hide();
+		letterboxAnimating = false;
+		return;
+	}
+
+	// Lay out the new bars off-screen before sliding them in
+	if (displayedLetterboxMode !== mode) {
+		bars.addClass("prome-letterbox-instant prome-letterbox-hidden");
+		setLetterboxClasses(mode);
+		bars.show();
+		bars[0]?.getBoundingClientRect();
+		bars.removeClass("prome-letterbox-instant");
+	}
+
+	bars.removeClass("prome-letterbox-hidden");
+	if (await waitForLetterbox(generation)) letterboxAnimating = false;
+}
+
+/**
+ * Enables/Disables Letterbox Mode
+ * @param {object} [options] - Letterbox options
+ * @param {boolean} [options.animate] - Whether the bars slide in/out (defaults to true)
+ */
+export function applyLetterboxMode(options = {}) {
+	const { animate = true } = options;
 	if (extension_settings[extensionName].letterboxMode === (null || undefined)) {
 		console.debug(
 			`[${extensionName}] letterboxMode returned null or undefined.`,
@@ -77,32 +218,94 @@ export function applyLetterboxMode() {
 		`[${extensionName}] Letterbox Mode: ${extension_settings[extensionName].letterboxMode}`,
 	);
 
-	$("body").toggleClass(
-		"hLetterBox",
-		extension_settings[extensionName].letterboxMode === VN_MODES.HORIZONTAL,
-	);
-	$("body").toggleClass(
-		"vLetterBox",
-		extension_settings[extensionName].letterboxMode === VN_MODES.VERTICAL,
-	);
+	const mode = extension_settings[extensionName].letterboxMode;
+	const generation = ++letterboxGeneration;
+	const shouldAnimate =
+		animate &&
+		Number(extension_settings[extensionName].letterboxAnimationDuration) > 0 &&
+		!window.matchMedia("(prefers-reduced-motion: reduce)").matches;
 
-	if (isLetterboxModeEnabled()) {
-		$("#visual-novel-letterbox-one").show();
-		$("#visual-novel-letterbox-two").show();
+	if (shouldAnimate) {
+		animateLetterbox(mode, generation);
 	} else {
-		$("#visual-novel-letterbox-one").hide();
-		$("#visual-novel-letterbox-two").hide();
+		snapLetterbox(mode);
 	}
 
-	applyLetterboxSize();
-
 	console.debug(`[${extensionName}] Letterbox Settings Applied`);
 }
 
+export function applyLetterboxAnimation() {
+	document.documentElement.style.setProperty(
+		"--prome-letterbox-animation-duration",
+		`${extension_settings[extensionName].letterboxAnimationDuration}s`,
+	);
+	document.documentElement.style.setProperty(
+		"--prome-letterbox-animation-easing",
+		extension_settings[extensionName].letterboxAnimationEasing,
+	);
+}
+
+function onLetterbox_Resize() {
+	// A resize mid-animation would leave the bars half-drawn, so jump to the end
+	if (letterboxAnimating) {
+		letterboxGeneration++;
+		snapLetterbox(extension_settings[extensionName].letterboxMode);
+		return;
+	}
+
+	// Aspect-ratio bars follow the viewport
+	if (displayedLetterboxMode === VN_MODES.RATIO) {
+		setLetterboxClasses(VN_MODES.RATIO);
+	}
+}
+
 /* Event Handlers */
+function onLetterboxRatio_Change() {
+	const value = parseAspectRatio(this.value);
+	if (value === null) {
+		console.error(
+			`[${extensionName}] Invalid letterbox ratio value: ${this.value}`,
+		);
+		return;
+	}
+	extension_settings[extensionName].letterboxRatio = value;
+	saveSettingsDebounced();
+	if (displayedLetterboxMode === VN_MODES.RATIO) {
+		setLetterboxClasses(VN_MODES.RATIO);
+	}
+}
+
+function onLetterboxAnimationDuration_Change() {
+	const value = this.value;
+	if (value < 0 || value > 5) {
+		console.error(
+			`[${extensionName}] Invalid letterbox animation duration value: ${value}`,
+		);
+		return;
+	}
+	extension_settings[extensionName].letterboxAnimationDuration = Number(value);
+	$("#prome-letterbox-animation-duration").val(value);
+	$("#prome-letterbox-animation-duration-counter").val(value);
+	saveSettingsDebounced();
+	applyLetterboxAnimation();
+}
+
+function onLetterboxAnimationEasing_Select() {
+	const value = String(this.value);
+	if (!Object.keys(easingFunctions).includes(value)) {
+		console.error(
+			`[${extensionName}] Invalid letterbox animation easing value: ${value}`,
+		);
+		return;
+	}
+	extension_settings[extensionName].letterboxAnimationEasing = value;
+	saveSettingsDebounced();
+	applyLetterboxAnimation();
+}
+
 function onLetterbox_Select() {
 	const value = Number(this.value);
-	if (value < 0 || value > 2) {
+	if (value < 0 || value > VN_MODES.RATIO) {
 		console.error(`[${extensionName}] Invalid letterbox mode value: ${value}`);
 		return;
 	}
@@ -125,6 +328,18 @@ export function setupLetterboxModeHTML() {
 	$("#prome-letterbox-size-counter").val(
 		extension_settings[extensionName].letterboxSize,
 	);
+	$("#prome-letterbox-animation-duration").val(
+		extension_settings[extensionName].letterboxAnimationDuration,
+	);
+	$("#prome-letterbox-animation-duration-counter").val(
+		extension_settings[extensionName].letterboxAnimationDuration,
+	);
+	$("#prome-letterbox-animation-easing").val(
+		extension_settings[extensionName].letterboxAnimationEasing,
+	);
+	$("#prome-letterbox-ratio").val(
+		extension_settings[extensionName].letterboxRatio,
+	);
 }
 
 export function setupLetterboxModeJQuery() {
@@ -134,4 +349,22 @@ export function setupLetterboxModeJQuery() {
 	$("#prome-letterbox-size-counter").on("input", onLetterboxSize_Change);
 	$("#prome-letterbox-size-restore").on("click", resetLetterBoxSize);
 	$("#prome-letterbox-color-restore").on("click", resetLetterBoxColor);
+	$("#prome-letterbox-animation-duration").on(
+		"input",
+		onLetterboxAnimationDuration_Change,
+	);
+	$("#prome-letterbox-animation-duration-counter").on(
+		"input",
+		onLetterboxAnimationDuration_Change,
+	);
+	$("#prome-letterbox-animation-duration-restore").on(
+		"click",
+		resetLetterboxAnimationDuration,
+	);
+	$("#prome-letterbox-animation-easing").on(
+		"change",
+		onLetterboxAnimationEasing_Select,
+	);
+	$("#prome-letterbox-ratio").on("change", onLetterboxRatio_Change);
+	$(window).on("resize", onLetterbox_Resize);
 }
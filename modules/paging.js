@@ -0,0 +1,302 @@
+import { extensionName, SHELD_LAYOUTS } from "../constants.js";
+import { extension_settings } from "../../../../extensions.js";
+import { saveSettingsDebounced } from "../../../../../script.js";
+import { resumeTypewriter } from "./typewriter.js";
+import { updateLastReadMessage } from "./skip.js";
+
+// A sentence ends with punctuation (and any closing quotes) followed by a space
+const sentenceEndRegex = /[.!?…。！？]+["'”’»)\]*_]*\s+/g;
+
+let pagingState = null;
+
+/* Helper Functions */
+function isMessagePagingActive() {
+	const settings = extension_settings[extensionName];
+	return (
+		settings.enableVN_UI &&
+		settings.showOnlyLastMessage &&
+		settings.messagePaging &&
+		// NVL pages already hold several messages
+		settings.sheldLayout !== SHELD_LAYOUTS.NVL
+	);
+}
+
+function getLineHeight(element) {
+	const style = window.getComputedStyle(element);
+	const lineHeight = parseFloat(style.lineHeight);
+	return Number.isNaN(lineHeight)
+		? parseFloat(style.fontSize) * 1.2
+		: lineHeight;
+}
+
+/**
+ * Returns the height the message text can take up without overflowing the chat
+ * @param {JQuery<HTMLElement>} message - The last message
+ * @param {JQuery<HTMLElement>} messageText - The .mes_text of the last message
+ * @returns {number} - The available height in pixels
+ */
+function getAvailableHeight(message, messageText) {
+	const chatHeight = $("#chat").innerHeight();
+	const messageChrome = message.outerHeight(true) - messageText.outerHeight();
+	const indicatorHeight = getLineHeight(messageText[0]) * 1.5;
+	return chatHeight - messageChrome - indicatorHeight;
+}
+
+/**
+ * Finds where pages may start: at paragraphs and at the lines where sentences start
+ * @param {HTMLElement} messageText - The .mes_text element
+ * @returns {number[]} - The sorted offsets from the top of the message text
+ */
+function getPageBreaks(messageText) {
+	const textTop = messageText.getBoundingClientRect().top;
+	const breaks = new Set();
+
+	for (const child of messageText.children) {
+		breaks.add(child.getBoundingClientRect().top - textTop);
+	}
+
+	const walker = document.createTreeWalker(messageText, NodeFilter.SHOW_TEXT);
+	const range = document.createRange();
+	while (walker.nextNode()) {
+		const node = walker.currentNode;
+		const lineHeight = getLineHeight(node.parentElement);
+
+		for (const match of node.nodeValue.matchAll(sentenceEndRegex)) {
+			const index = match.index + match[0].length;
+			if (index >= node.nodeValue.length) continue;
+
+			range.setStart(node, index);
+			range.setEnd(node, index + 1);
+			const rect = range.getClientRects()[0];
+			if (!rect) continue;
+
+			// Glyph boxes sit inside the line box, so move up to the top of the line
+			breaks.add(rect.top - (lineHeight - rect.height) / 2 - textTop);
+		}
+	}
+
+	return [...breaks]
+		.map((offset) => Math.floor(offset))
+		.filter((offset) => offset > 0)
+		.sort((a, b) => a - b);
+}
+
+/**
+ * Splits the message text into pages that fit the available height
+ * @param {number} totalHeight - The full height of the message text
+ * @param {number} availableHeight - The height one page can take up
+ * @param {number[]} breaks - The offsets where pages may start
+ * @param {number} lineHeight - The height of one line of text
+ * @returns {{top: number, height: number}[]} - The pages
+ */
+function buildPages(totalHeight, availableHeight, breaks, lineHeight) {
+	const pageHeight = Math.max(availableHeight, lineHeight * 2);
+	const pages = [];
+	let top = 0;
+
+	while (totalHeight - top > pageHeight) {
+		const limit = top + pageHeight;
+		let bottom = breaks.filter((offset) => offset > top && offset <= limit).pop();
+
+		// Sentences longer than a page are cut between lines instead
+		if (bottom === undefined) {
+			bottom = top + Math.floor(pageHeight / lineHeight) * lineHeight;
+		}
+
+		pages.push({ top, height: bottom - top });
+		top = bottom;
+	}
+
+	pages.push({ top, height: totalHeight - top });
+	return pages;
+}
+
+/* Paging Functions */
+/**
+ * Removes the paging from the message that was paged
+ */
+export function clearMessagePaging() {
+	if (!pagingState) return;
+
+	const messageText = pagingState.message.find(".mes_text");
+	messageText.removeClass("prome-paged").css("height", "");
+	messageText.scrollTop(0);
+	pagingState.message.find(".prome-page-indicator").remove();
+	pagingState = null;
+}
+
+function renderPageIndicator() {
+	const { message, pages, pageIndex } = pagingState;
+	let indicator = message.find(".prome-page-indicator");
+	if (!indicator.length) {
+		indicator = $("<div></div>")
+			.addClass("prome-page-indicator")
+			.append(
+				$("<span></span>")
+					.addClass("prome-page-back")
+					.attr("title", "Previous page")
+					.text("▲"),
+				$("<small></small>").addClass("prome-page-count"),
+				$("<span></span>")
+					.addClass("prome-page-next")
+					.attr("title", "Next page")
+					.text("▼"),
+			);
+		message.find(".mes_text").after(indicator);
+	}
+
+	indicator
+		.find(".prome-page-back")
+		.toggleClass("prome-page-hidden", pageIndex === 0);
+	indicator
+		.find(".prome-page-next")
+		.toggleClass("prome-page-hidden", pageIndex === pages.length - 1);
+	indicator
+		.find(".prome-page-count")
+		.text(`${pageIndex + 1}/${pages.length}`);
+}
+
+function showMessagePage(pageIndex) {
+	pagingState.pageIndex = pageIndex;
+	const page = pagingState.pages[pageIndex];
+	const messageText = pagingState.message.find(".mes_text");
+
+	messageText.css("height", `${page.height}px`);
+	messageText.scrollTop(page.top);
+	renderPageIndicator();
+}
+
+/**
+ * Splits the last message into pages that fit the sheld
+ * @param {boolean} [keepPage=false] - Whether to stay on the current page (e.g. after a resize)
+ */
+export function paginateLastMessage(keepPage = false) {
+	const previousPageIndex = keepPage ? (pagingState?.pageIndex ?? 0) : 0;
+	clearMessagePaging();
+	if (!isMessagePagingActive()) return;
+
+	const message = $("#chat .last_mes");
+	const messageText = message.find(".mes_text");
+	if (!messageText.length) return;
+
+	const lineHeight = getLineHeight(messageText[0]);
+	const pages = buildPages(
+		messageText[0].scrollHeight,
+		getAvailableHeight(message, messageText),
+		getPageBreaks(messageText[0]),
+		lineHeight,
+	);
+
+	// Short messages (and messages still streaming in) aren't paged
+	if (pages.length < 2) return;
+
+	messageText.addClass("prome-paged");
+	pagingState = { message, pages, pageIndex: 0 };
+	showMessagePage(Math.min(previousPageIndex, pages.length - 1));
+}
+
+/**
+ * Turns the page of the last message
+ * @param {number} direction - 1 for the next page, -1 for the previous page
+ * @returns {boolean} - Whether the page was turned
+ */
+export function turnMessagePage(direction) {
+	if (!pagingState) return false;
+
+	const pageIndex = pagingState.pageIndex + direction;
+	if (pageIndex < 0 || pageIndex >= pagingState.pages.length) return false;
+
+	showMessagePage(pageIndex);
+	if (direction > 0) resumeTypewriter();
+	updateLastReadMessage();
+	return true;
+}
+
+/**
+ * Returns how many pages the last message is split into
+ * @returns {number} - The page count (1 if the message isn't paged)
+ */
+export function getMessagePageCount() {
+	return pagingState?.pages.length ?? 1;
+}
+
+/**
+ * Returns whether the last page of the last message is showing
+ * @returns {boolean} - Whether the last page is showing (true if the message isn't paged)
+ */
+export function isLastMessagePage() {
+	if (!pagingState) return true;
+	return pagingState.pageIndex === pagingState.pages.length - 1;
+}
+
+/* Apply Functions */
+export function applyMessagePaging() {
+	if (!isMessagePagingActive()) {
+		clearMessagePaging();
+		return;
+	}
+
+	// New messages start at the first page
+	const lastMessage = $("#chat .last_mes")[0];
+	if (pagingState?.message[0] === lastMessage) return;
+	paginateLastMessage();
+}
+
+/* Action Functions */
+function onMessagePaging_Click(event) {
+	const value = Boolean($(event.target).prop("checked"));
+	extension_settings[extensionName].messagePaging = value;
+	saveSettingsDebounced();
+	paginateLastMessage();
+}
+
+function onMessagePage_Click(event) {
+	// The typewriter already used this click to finish the page
+	if (!pagingState || event.isDefaultPrevented()) return;
+
+	const target = $(event.target);
+	if (target.closest(".prome-page-back").length) {
+		turnMessagePage(-1);
+	} else if (target.closest(".mes_text, .prome-page-next").length) {
+		turnMessagePage(1);
+	}
+}
+
+function onMessagePage_Keydown(event) {
+	if (!pagingState || event.isDefaultPrevented()) return;
+
+	// Don't turn pages while typing
+	const target = event.target;
+	if (target.isContentEditable || $(target).is("input, textarea, select")) {
+		return;
+	}
+	if (event.ctrlKey || event.altKey || event.metaKey) return;
+
+	let turned = false;
+	switch (event.key) {
+		case "Enter":
+		case " ":
+		case "PageDown":
+			turned = turnMessagePage(1);
+			break;
+		case "Backspace":
+		case "PageUp":
+			turned = turnMessagePage(-1);
+			break;
+	}
+
+	if (turned) event.preventDefault();
+}
+
+export function setupMessagePagingHTML() {
+	$("#prome-message-paging").prop(
+		"checked",
+		extension_settings[extensionName].messagePaging,
+	);
+}
+
+export function setupMessagePagingJQuery() {
+	$("#prome-message-paging").on("click", onMessagePaging_Click);
+	$("#chat").on("click", ".last_mes", onMessagePage_Click);
+	$(document).on("keydown", onMessagePage_Keydown);
+}
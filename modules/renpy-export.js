@@ -0,0 +1,298 @@
+import { getContext } from "../../../../extensions.js";
+import { getChatId } from "../utils.js";
+import { getMessageSprite } from "./chat-history.js";
+import { getNameColor, getSpeakerAvatar } from "./sheld-layout.js";
+import { getBackgroundImage } from "./transitions.js";
+
+// Python keywords can't be variable names (identifiers are lowercase, so True/None/False can't clash)
+const pythonKeywords = [
+	"and",
+	"as",
+	"assert",
+	"async",
+	"await",
+	"break",
+	"class",
+	"continue",
+	"def",
+	"del",
+	"elif",
+	"else",
+	"except",
+	"finally",
+	"for",
+	"from",
+	"global",
+	"if",
+	"import",
+	"in",
+	"is",
+	"lambda",
+	"nonlocal",
+	"not",
+	"or",
+	"pass",
+	"raise",
+	"return",
+	"try",
+	"while",
+	"with",
+	"yield",
+];
+
+// Names Ren'Py already uses for its store, characters and statements
+const renpyNames = [
+	"_",
+	"achievement",
+	"adv",
+	"anim",
+	"at",
+	"behind",
+	"build",
+	"call",
+	"centered",
+	"character",
+	"config",
+	"default",
+	"define",
+	"dict",
+	"director",
+	"expression",
+	"extend",
+	"gui",
+	"hide",
+	"iap",
+	"im",
+	"image",
+	"init",
+	"jump",
+	"label",
+	"layeredimage",
+	"len",
+	"list",
+	"main_menu",
+	"menu",
+	"mouse_visible",
+	"name_only",
+	"narrator",
+	"nvl",
+	"nvl_narrator",
+	"object",
+	"onlayer",
+	"pause",
+	"persistent",
+	"play",
+	"preferences",
+	"python",
+	"queue",
+	"renpy",
+	"return",
+	"save_name",
+	"scene",
+	"screen",
+	"show",
+	"stop",
+	"store",
+	"str",
+	"style",
+	"suppress_overlay",
+	"transform",
+	"type",
+	"ui",
+	"updater",
+	"vcentered",
+	"voice",
+	"window",
+	"zorder",
+];
+
+const indent = "    ";
+
+/* Helper Functions */
+/**
+ * Turns a name into something Ren'Py accepts as a variable or image name
+ * @param {string} name - The name to convert
+ * @returns {string} - The identifier (lowercase letters, digits and underscores)
+ */
+function toRenpyIdentifier(name) {
+	const identifier = String(name ?? "")
+		.toLowerCase()
+		.replace(/[^a-z0-9_]+/g, "_")
+		.replace(/^_+|_+$/g, "");
+	if (identifier.length === 0) return "character";
+	return /^[0-9]/.test(identifier) ? `c_${identifier}` : identifier;
+}
+
+/**
+ * Converts a CSS rgb()/rgba() color into the hex code Ren'Py expects
+ * @param {string} color - The CSS color
+ * @returns {string|null} - The hex color, or null if it can't be read
+ */
+function toHexColor(color) {
+	const match = String(color).match(/rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)/);
+	if (!match) return null;
+	const channels = match.slice(1, 4).map((value) =>
+		Math.min(255, Number(value)).toString(16).padStart(2, "0"),
+	);
+	return `#${channels.join("")}`;
+}
+
+function getFileName(path) {
+	const fileName = decodeURIComponent(path.split(/[?#]/)[0].split("/").pop());
+	return fileName.replace(/\.[^.]+$/, "");
+}
+
+/**
+ * Reads the expression name from a sprite URL (/characters/<folder>/<expression>.png)
+ * @param {string|null} src - The sprite image URL
+ * @returns {string|null} - The expression, or null for emulated sprites
+ */
+function getSpriteExpression(src) {
+	if (!src) return null;
+	const path = src.split(/[?#]/)[0];
+	const characterPath = path.split("/characters/")[1];
+	// Emulated sprites are the character card itself
+	if (!characterPath || !characterPath.includes("/")) return null;
+	return getFileName(path);
+}
+
+/**
+ * Reads the image name from a CSS background-image
+ * @param {string|undefined} background - The CSS background-image
+ * @returns {string|null} - The background name, or null if there's no background
+ */
+function getBackgroundName(background) {
+	const match = String(background ?? "").match(/url\(["']?(.*?)["']?\)/);
+	return match ? getFileName(match[1]) : null;
+}
+
+/**
+ * Escapes text for a say statement and turns Markdown emphasis into text tags
+ * @param {string} text - The message text
+ * @returns {string} - The escaped text
+ */
+function escapeRenpyText(text) {
+	return text
+		.replace(/<[^>]*>/g, "")
+		.replace(/\\/g, "\\\\")
+		.replace(/"/g, '\\"')
+		.replace(/\[/g, "[[")
+		.replace(/\{/g, "{{")
+		.replace(/\*\*(.+?)\*\*/g, "{b}$1{/b}")
+		.replace(/\*(.+?)\*/g, "{i}$1{/i}")
+		.replace(/\n/g, "\\n");
+}
+
+/**
+ * Splits a message into say statements, one per paragraph
+ * @param {string} text - The message text
+ * @returns {string[]} - The escaped paragraphs
+ */
+function getSayLines(text) {
+	return String(text ?? "")
+		.split(/\n\s*\n/)
+		.map((paragraph) => paragraph.trim())
+		.filter(Boolean)
+		.map(escapeRenpyText);
+}
+
+/* Export Functions */
+/**
+ * Builds a Ren'Py script from the chat, using the sprites and backgrounds Prome recorded for each message
+ * @param {number[]} messageIds - The messages to export
+ * @returns {string} - The .rpy script
+ */
+export function buildRenpyScript(messageIds) {
+	const context = getContext();
+	const lastMessageId = context.chat.length - 1;
+
+	const characters = new Map();
+	const usedNames = new Set([...pythonKeywords, ...renpyNames]);
+	const imageSources = new Map();
+	const statements = [];
+	const shownExpressions = new Map();
+	let currentBackground = null;
+
+	function getCharacter(mes) {
+		if (characters.has(mes.name)) return characters.get(mes.name);
+
+		let variable = toRenpyIdentifier(mes.name);
+		for (let suffix = 2; usedNames.has(variable); suffix++) {
+			variable = `${toRenpyIdentifier(mes.name)}_${suffix}`;
+		}
+		usedNames.add(variable);
+
+		const character = {
+			variable,
+			name: mes.name,
+			color: toHexColor(getNameColor(getSpeakerAvatar(mes))),
+		};
+		characters.set(mes.name, character);
+		return character;
+	}
+
+	for (const messageId of messageIds) {
+		const mes = context.chat[messageId];
+		const lines = getSayLines(mes.mes);
+		if (lines.length === 0) continue;
+
+		// The last message has no record yet, it's still on the stage
+		const background =
+			mes.extra?.prome_stage?.background ??
+			(messageId === lastMessageId ? getBackgroundImage() : null);
+		const backgroundName = getBackgroundName(background);
+		if (backgroundName && backgroundName !== currentBackground) {
+			const image = `bg ${toRenpyIdentifier(backgroundName)}`;
+			imageSources.set(image, background);
+			statements.push("", `scene ${image}`);
+			currentBackground = backgroundName;
+			// Scenes clear the sprites
+			shownExpressions.clear();
+		}
+
+		if (mes.is_system) {
+			statements.push(...lines.map((line) => `"${line}"`));
+			continue;
+		}
+
+		const character = getCharacter(mes);
+		const sprite = getMessageSprite(mes, messageId);
+		const expression = getSpriteExpression(sprite);
+		if (expression && shownExpressions.get(character.variable) !== expression) {
+			const image = `${character.variable} ${toRenpyIdentifier(expression)}`;
+			imageSources.set(image, sprite);
+			statements.push(`show ${image}`);
+			shownExpressions.set(character.variable, expression);
+		}
+
+		statements.push(...lines.map((line) => `${character.variable} "${line}"`));
+	}
+
+	const header = [
+		`# Exported by Prome from "${getChatId() ?? "chat"}"`,
+		"# Put these images in game/images/ with the names on the left:",
+		...[...imageSources].map(
+			([image, source]) => `#   ${image}  <-  ${source}`,
+		),
+		"",
+	];
+	const defines = [...characters.values()].map(({ variable, name, color }) => {
+		const colorArgument = color ? `, color="${color}"` : "";
+		const displayName = escapeRenpyText(name);
+		return `define ${variable} = Character("${displayName}"${colorArgument})`;
+	});
+	const body = statements.map((statement) =>
+		statement ? `${indent}${statement}` : "",
+	);
+
+	return [
+		...header,
+		...defines,
+		"",
+		"label start:",
+		...body,
+		"",
+		`${indent}return`,
+		"",
+	].join("\n");
+}
@@ -0,0 +1,290 @@
+import { extensionName } from "../constants.js";
+import { extension_settings, getContext } from "../../../../extensions.js";
+import {
+	saveChatDebounced,
+	saveSettingsDebounced,
+	showMoreMessages,
+} from "../../../../../script.js";
+import { applyDefocusDebounce, applyZoomDebounce } from "../listeners.js";
+import { applySheldMode } from "./sheld.js";
+import { finishTypewriter } from "./typewriter.js";
+import { stopAutoReadTimer } from "./auto-read.js";
+import { startSkipping, stopSkipping } from "./skip.js";
+import {
+	clearTintPreview,
+	getShownTintValues,
+	getTintPreset,
+	previewTintValues,
+} from "./tint.js";
+import { getBackgroundImage } from "./transitions.js";
+import { isGroupChat } from "../utils.js";
+
+// Wheel events closer together than this count as one step
+const rollbackStepInterval = 200;
+
+let rollbackState = null;
+let lastRollbackStep = 0;
+
+/* Helper Functions */
+function isRollbackAvailable() {
+	const settings = extension_settings[extensionName];
+	return (
+		settings.enableVN_UI && settings.showOnlyLastMessage && settings.rollback
+	);
+}
+
+function isStageMessage(message) {
+	return Boolean(message) && !message.is_system;
+}
+
+/**
+ * Finds the closest message the stage can show in the given direction
+ * @param {number} messageId - The message to start from
+ * @param {number} direction - -1 for older messages, 1 for newer messages
+ * @returns {number} - The message index (-1 if there is none)
+ */
+function findStageMessage(messageId, direction) {
+	const chat = getContext().chat;
+	let i = messageId + direction;
+	while (i >= 0 && i < chat.length) {
+		if (isStageMessage(chat[i])) return i;
+		i += direction;
+	}
+	return -1;
+}
+
+/**
+ * Loads older messages into the chat until the given one is rendered
+ * @param {number} messageId - The message index
+ */
+async function ensureMessageRendered(messageId) {
+	const chat = $("#chat");
+	while (!chat.find(`.mes[mesid="${messageId}"]`).length) {
+		const firstMessageId = Number(chat.find(".mes").first().attr("mesid"));
+		if (Number.isNaN(firstMessageId) || firstMessageId <= messageId) return;
+		await showMoreMessages(firstMessageId - messageId);
+	}
+}
+
+/**
+ * Returns the sprite holders on the stage (group chats keep them in the visual novel wrapper)
+ * @returns {JQuery<HTMLElement>} - The sprite holders
+ */
+function getStageSprites() {
+	if (isGroupChat()) {
+		return $("#visual-novel-wrapper").children("div");
+	}
+	return $("#expression-wrapper .expression-holder");
+}
+
+/**
+ * Captures the sprite images, tint and background currently on the stage
+ * @returns {{sprites: Object<string, string>, tint: string|undefined, background: string}} - The stage state
+ */
+function captureStage() {
+	const sprites = {};
+	getStageSprites().each(function () {
+		const src = $(this).find("img").attr("src");
+		if (this.id && src) sprites[this.id] = src;
+	});
+
+	return {
+		sprites,
+		tint: getShownTintValues()?.name,
+		background: getBackgroundImage(),
+	};
+}
+
+function restoreStageSprites(sprites) {
+	const holders = getStageSprites();
+	for (const [id, src] of Object.entries(sprites ?? {})) {
+		holders.filter(`[id="${id}"]`).find("img").attr("src", src);
+	}
+}
+
+/* Rollback Functions */
+/**
+ * Returns the index of the message the stage was rolled back to
+ * @returns {number|null} - The message index, or null when showing the present
+ */
+export function getRollbackMessageId() {
+	if (!isRollbackAvailable()) return null;
+	return rollbackState?.messageId ?? null;
+}
+
+/**
+ * Returns the message shown on the stage (the rolled back message or the last one)
+ * @returns {JQuery<HTMLElement>} - The message element
+ */
+export function getStageMessage() {
+	const messageId = getRollbackMessageId();
+	if (messageId === null) return $("#chat .last_mes");
+	return $(`#chat .mes[mesid="${messageId}"]`);
+}
+
+/**
+ * Remembers how the stage looked for a message that's about to be followed by a new one
+ * @param {number} messageId - The message index
+ */
+export function recordStage(messageId) {
+	const message = getContext().chat[messageId];
+	if (!isStageMessage(message) || rollbackState) return;
+	// Swipes on later messages don't change how this one looked
+	if (message.extra?.prome_stage) return;
+
+	message.extra = message.extra ?? {};
+	message.extra.prome_stage = captureStage();
+	saveChatDebounced();
+}
+
+/**
+ * Shows an earlier message on the stage along with the sprites and tint recorded for it
+ * @param {number} messageId - The message index
+ */
+export async function rollBackTo(messageId) {
+	const chat = getContext().chat;
+	if (!isStageMessage(chat[messageId])) return;
+	if (findStageMessage(messageId, 1) === -1) {
+		returnToPresent();
+		return;
+	}
+
+	if (!rollbackState) {
+		finishTypewriter();
+		stopAutoReadTimer();
+		rollbackState = {
+			messageId,
+			sprites: captureStage().sprites,
+			tintValues: structuredClone(getShownTintValues()),
+		};
+	}
+
+	await ensureMessageRendered(messageId);
+	rollbackState.messageId = messageId;
+	$("body").addClass("promeRollback");
+	applySheldMode();
+	$("#chat").scrollTop(0);
+
+	const stage = chat[messageId].extra?.prome_stage;
+	restoreStageSprites(stage?.sprites);
+	// The recorded tint is only shown, the saved tint stays for the present
+	const tintPreset = stage?.tint && getTintPreset(stage.tint);
+	if (tintPreset && tintPreset.name !== getShownTintValues()?.name) {
+		previewTintValues(tintPreset);
+	}
+
+	applyZoomDebounce();
+	applyDefocusDebounce();
+}
+
+/**
+ * Leaves the rollback and restores the stage as it was before
+ * @param {boolean} [restoreSprites=true] - Whether to put the sprites back (not when the chat changed)
+ */
+export function returnToPresent(restoreSprites = true) {
+	if (!rollbackState) return;
+
+	const { sprites, tintValues } = rollbackState;
+	rollbackState = null;
+	$("body").removeClass("promeRollback");
+	applySheldMode();
+	$("#chat").scrollTop($("#chat")[0].scrollHeight);
+
+	if (restoreSprites) restoreStageSprites(sprites);
+	// Go back to the tint that was shown before, even if that was a preview itself
+	const savedTint = extension_settings[extensionName].currentTintValues;
+	if (JSON.stringify(tintValues) === JSON.stringify(savedTint)) {
+		clearTintPreview();
+	} else {
+		previewTintValues(tintValues);
+	}
+
+	applyZoomDebounce();
+	applyDefocusDebounce();
+}
+
+/**
+ * Steps the stage back or forward by one message
+ * @param {number} direction - -1 for the previous message, 1 for the next message
+ */
+export async function stepRollback(direction) {
+	const chat = getContext().chat;
+	// The present already shows the last stage message, so step from there
+	const currentMessageId =
+		rollbackState?.messageId ?? findStageMessage(chat.length, -1);
+	if (currentMessageId === -1) return;
+	if (!rollbackState && direction > 0) return;
+
+	const messageId = findStageMessage(currentMessageId, direction);
+	if (messageId !== -1) {
+		await rollBackTo(messageId);
+	} else if (direction > 0) {
+		returnToPresent();
+	}
+}
+
+/* Apply Functions */
+export function applyRollback() {
+	console.debug(
+		`[${extensionName}] Rollback?: ${extension_settings[extensionName].rollback}`,
+	);
+
+	if (!isRollbackAvailable()) returnToPresent();
+}
+
+/* Action Functions */
+function onRollback_Click(event) {
+	const value = Boolean($(event.target).prop("checked"));
+	extension_settings[extensionName].rollback = value;
+	saveSettingsDebounced();
+	applyRollback();
+}
+
+/**
+ * Checks whether a wheel event should roll the stage instead of scrolling something
+ * @param {WheelEvent} event - The wheel event
+ * @returns {boolean} - Whether the wheel is over the stage (or the message box can't scroll further)
+ */
+function isWheelOnStage(event) {
+	const target = $(event.target);
+	if (target.closest("#chat").length) {
+		// Long messages scroll first
+		const chat = $("#chat")[0];
+		if (event.deltaY < 0) return chat.scrollTop <= 0;
+		return chat.scrollTop + chat.clientHeight >= chat.scrollHeight - 1;
+	}
+
+	return (
+		event.target === document.body ||
+		target.closest(
+			"#bg1, #bg_custom, #expression-wrapper, #visual-novel-wrapper",
+		).length > 0
+	);
+}
+
+async function onStage_Wheel(event) {
+	if (!isRollbackAvailable() || event.deltaY === 0) return;
+	if (!isWheelOnStage(event)) return;
+
+	const now = Date.now();
+	if (now - lastRollbackStep < rollbackStepInterval) return;
+	lastRollbackStep = now;
+
+	const direction = event.deltaY < 0 ? -1 : 1;
+	stopSkipping();
+	await stepRollback(direction);
+	// Skip carries on through the read messages after a step forward
+	if (direction > 0) startSkipping();
+}
+
+export function setupRollbackHTML() {
+	$("#prome-rollback").prop(
+		"checked",
+		extension_settings[extensionName].rollback,
+	);
+}
+
+export function setupRollbackJQuery() {
+	$("#prome-rollback").on("click", onRollback_Click);
+	document.addEventListener("wheel", onStage_Wheel, { passive: true });
+}
@@ -0,0 +1,364 @@
+import { defaultSettings, extensionName, SHELD_LAYOUTS } from "../constants.js";
+import {
+	extension_settings,
+	getContext,
+	saveMetadataDebounced,
+} from "../../../../extensions.js";
+import { saveSettingsDebounced, chat_metadata } from "../../../../../script.js";
+import { user_avatar } from "../../../../personas.js";
+import { getChatCharacters } from "../utils.js";
+import { applySheldMode } from "./sheld.js";
+import { getStageMessage } from "./rollback.js";
+
+const advBoxPositions = ["bottom", "center"];
+
+/* Helper Functions */
+function isTraditionalVNMode() {
+	const settings = extension_settings[extensionName];
+	return settings.enableVN_UI && settings.showOnlyLastMessage;
+}
+
+/**
+ * Returns the avatar of whoever sent a message (the persona for user messages)
+ * @param {object} message - The chat message
+ * @returns {string|null} - The speaker's avatar
+ */
+export function getSpeakerAvatar(message) {
+	if (message.is_user) return user_avatar;
+	if (message.original_avatar) return message.original_avatar;
+
+	const context = getContext();
+	return context.characters[context.characterId]?.avatar ?? null;
+}
+
+/**
+ * Returns whether the NVL layout is in use
+ * @returns {boolean} - Whether the NVL layout is active
+ */
+export function isNvlLayoutActive() {
+	return (
+		isTraditionalVNMode() &&
+		extension_settings[extensionName].sheldLayout === SHELD_LAYOUTS.NVL
+	);
+}
+
+/**
+ * Returns the index of the first message on the current NVL page.
+ * A page holds up to nvlPageSize messages counted from the last /nvl-page.
+ * @returns {number} - The index of the first message on the page
+ */
+export function getNvlPageStart() {
+	const chatLength = getContext().chat.length;
+	const sceneStart = Math.min(
+		Number(chat_metadata?.prome_nvl_page_start ?? 0),
+		chatLength,
+	);
+	const pageSize = Number(extension_settings[extensionName].nvlPageSize);
+	const lastIndex = chatLength - 1;
+	if (lastIndex < sceneStart) return sceneStart;
+
+	return sceneStart + Math.floor((lastIndex - sceneStart) / pageSize) * pageSize;
+}
+
+/**
+ * Clears the NVL page so the next message starts a new one
+ */
+export function startNvlPage() {
+	chat_metadata.prome_nvl_page_start = getContext().chat.length;
+	saveMetadataDebounced();
+}
+
+/**
+ * Returns the name plate color of a speaker
+ * @param {string|null} avatar - The speaker's avatar
+ * @returns {string} - The CSS color
+ */
+export function getNameColor(avatar) {
+	const settings = extension_settings[extensionName];
+	return settings.advNameColors[avatar] ?? settings.advNameColor;
+}
+
+/* Layout Functions */
+function applyAdvNamePlate() {
+	const stageMessage = getStageMessage();
+	const message = getContext().chat[Number(stageMessage.attr("mesid"))];
+	if (!message) return;
+
+	stageMessage[0].style.setProperty(
+		"--prome-adv-name-color",
+		getNameColor(getSpeakerAvatar(message)),
+	);
+}
+
+/* Apply Functions */
+export function applySheldLayout() {
+	const settings = extension_settings[extensionName];
+	console.debug(`[${extensionName}] Sheld Layout: ${settings.sheldLayout}`);
+
+	const advLayout =
+		isTraditionalVNMode() && settings.sheldLayout === SHELD_LAYOUTS.ADV;
+	$("body")
+		.toggleClass("advLayout", advLayout)
+		.toggleClass("nvlLayout", isNvlLayoutActive())
+		.toggleClass("advCenter", settings.advBoxPosition === "center")
+		.toggleClass("advPortrait", settings.advPortrait);
+
+	if (advLayout) applyAdvNamePlate();
+}
+
+export function applyAdvBoxStyle() {
+	const settings = extension_settings[extensionName];
+	const rootStyle = document.documentElement.style;
+	rootStyle.setProperty(
+		"--prome-adv-box-opacity",
+		`${settings.advBoxOpacity}%`,
+	);
+	rootStyle.setProperty("--prome-adv-box-width", `${settings.advBoxWidth}vw`);
+}
+
+export function applyNvlPanelStyle() {
+	const settings = extension_settings[extensionName];
+	const rootStyle = document.documentElement.style;
+	rootStyle.setProperty(
+		"--prome-nvl-panel-opacity",
+		`${settings.nvlPanelOpacity}%`,
+	);
+	rootStyle.setProperty("--prome-nvl-font-size", `${settings.nvlFontSize}px`);
+}
+
+/* Name Color Settings */
+function getSelectedNameColorAvatar() {
+	return String($("#prome-adv-name-character").val() ?? "");
+}
+
+function setupNameColorHTML() {
+	$("#prome-adv-name-color-picker").attr(
+		"color",
+		getNameColor(getSelectedNameColorAvatar()),
+	);
+}
+
+/**
+ * Rebuilds the name plate character dropdown from the current chat
+ */
+export function refreshAdvNameColorsHTML() {
+	const select = $("#prome-adv-name-character");
+	const selectedAvatar = getSelectedNameColorAvatar();
+	const speakers = [
+		...getChatCharacters(),
+		{ avatar: user_avatar, name: `${getContext().name1} (You)` },
+	];
+
+	select.empty();
+	for (const speaker of speakers) {
+		const option = document.createElement("option");
+		option.value = speaker.avatar;
+		option.text = speaker.name;
+		option.selected = speaker.avatar === selectedAvatar;
+		select.append(option);
+	}
+
+	setupNameColorHTML();
+}
+
+/* Action Functions */
+function onSheldLayout_Select() {
+	const value = String(this.value);
+	if (!Object.values(SHELD_LAYOUTS).includes(value)) {
+		console.error(`[${extensionName}] Invalid sheld layout value: ${value}`);
+		return;
+	}
+	extension_settings[extensionName].sheldLayout = value;
+	saveSettingsDebounced();
+	applySheldMode();
+}
+
+function onAdvBoxPosition_Select() {
+	const value = String(this.value);
+	if (!advBoxPositions.includes(value)) {
+		console.error(`[${extensionName}] Invalid ADV box position value: ${value}`);
+		return;
+	}
+	extension_settings[extensionName].advBoxPosition = value;
+	saveSettingsDebounced();
+	applySheldLayout();
+}
+
+function onAdvPortrait_Click(event) {
+	const value = Boolean($(event.target).prop("checked"));
+	extension_settings[extensionName].advPortrait = value;
+	saveSettingsDebounced();
+	applySheldLayout();
+}
+
+function onAdvBoxOpacity_Change() {
+	const value = this.value;
+	if (value < 0 || value > 100) {
+		console.error(`[${extensionName}] Invalid ADV box opacity value: ${value}`);
+		return;
+	}
+	extension_settings[extensionName].advBoxOpacity = Number(value);
+	$("#prome-adv-box-opacity").val(value);
+	$("#prome-adv-box-opacity-counter").val(value);
+	saveSettingsDebounced();
+	applyAdvBoxStyle();
+}
+
+function onAdvBoxWidth_Change() {
+	const value = this.value;
+	if (value < 30 || value > 100) {
+		console.error(`[${extensionName}] Invalid ADV box width value: ${value}`);
+		return;
+	}
+	extension_settings[extensionName].advBoxWidth = Number(value);
+	$("#prome-adv-box-width").val(value);
+	$("#prome-adv-box-width-counter").val(value);
+	saveSettingsDebounced();
+	applyAdvBoxStyle();
+}
+
+function onAdvNameColor_Change(evt) {
+	const avatar = getSelectedNameColorAvatar();
+	if (!avatar) return;
+
+	const value = evt.detail.rgba;
+	// The picker fires on setup too, so only store actual changes
+	if (value === getNameColor(avatar)) return;
+
+	extension_settings[extensionName].advNameColors[avatar] = value;
+	saveSettingsDebounced();
+	applySheldLayout();
+}
+
+function onNvlPageSize_Change() {
+	const value = this.value;
+	if (value < 1 || value > 50) {
+		console.error(`[${extensionName}] Invalid NVL page size value: ${value}`);
+		return;
+	}
+	extension_settings[extensionName].nvlPageSize = Number(value);
+	$("#prome-nvl-page-size").val(value);
+	$("#prome-nvl-page-size-counter").val(value);
+	saveSettingsDebounced();
+	applySheldMode();
+}
+
+function onNvlFontSize_Change() {
+	const value = this.value;
+	if (value < 10 || value > 40) {
+		console.error(`[${extensionName}] Invalid NVL font size value: ${value}`);
+		return;
+	}
+	extension_settings[extensionName].nvlFontSize = Number(value);
+	$("#prome-nvl-font-size").val(value);
+	$("#prome-nvl-font-size-counter").val(value);
+	saveSettingsDebounced();
+	applyNvlPanelStyle();
+}
+
+function onNvlPanelOpacity_Change() {
+	const value = this.value;
+	if (value < 0 || value > 100) {
+		console.error(`[${extensionName}] Invalid NVL panel opacity value: ${value}`);
+		return;
+	}
+	extension_settings[extensionName].nvlPanelOpacity = Number(value);
+	$("#prome-nvl-panel-opacity").val(value);
+	$("#prome-nvl-panel-opacity-counter").val(value);
+	saveSettingsDebounced();
+	applyNvlPanelStyle();
+}
+
+/* Reset Functions */
+function resetAdvBoxOpacity() {
+	extension_settings[extensionName].advBoxOpacity =
+		defaultSettings.advBoxOpacity;
+	$("#prome-adv-box-opacity")
+		.val(defaultSettings.advBoxOpacity)
+		.trigger("input");
+	$("#prome-adv-box-opacity-counter").val(defaultSettings.advBoxOpacity);
+	saveSettingsDebounced();
+}
+
+function resetAdvBoxWidth() {
+	extension_settings[extensionName].advBoxWidth = defaultSettings.advBoxWidth;
+	$("#prome-adv-box-width").val(defaultSettings.advBoxWidth).trigger("input");
+	$("#prome-adv-box-width-counter").val(defaultSettings.advBoxWidth);
+	saveSettingsDebounced();
+}
+
+function resetAdvNameColor() {
+	const avatar = getSelectedNameColorAvatar();
+	if (!avatar) return;
+
+	delete extension_settings[extensionName].advNameColors[avatar];
+	saveSettingsDebounced();
+	setupNameColorHTML();
+	applySheldLayout();
+}
+
+function resetNvlPageSize() {
+	extension_settings[extensionName].nvlPageSize = defaultSettings.nvlPageSize;
+	$("#prome-nvl-page-size").val(defaultSettings.nvlPageSize).trigger("input");
+	$("#prome-nvl-page-size-counter").val(defaultSettings.nvlPageSize);
+	saveSettingsDebounced();
+}
+
+function resetNvlFontSize() {
+	extension_settings[extensionName].nvlFontSize = defaultSettings.nvlFontSize;
+	$("#prome-nvl-font-size").val(defaultSettings.nvlFontSize).trigger("input");
+	$("#prome-nvl-font-size-counter").val(defaultSettings.nvlFontSize);
+	saveSettingsDebounced();
+}
+
+function resetNvlPanelOpacity() {
+	extension_settings[extensionName].nvlPanelOpacity =
+		defaultSettings.nvlPanelOpacity;
+	$("#prome-nvl-panel-opacity")
+		.val(defaultSettings.nvlPanelOpacity)
+		.trigger("input");
+	$("#prome-nvl-panel-opacity-counter").val(defaultSettings.nvlPanelOpacity);
+	saveSettingsDebounced();
+}
+
+export function setupSheldLayoutHTML() {
+	const settings = extension_settings[extensionName];
+	$("#prome-sheld-layout").val(settings.sheldLayout);
+	$("#prome-adv-box-position").val(settings.advBoxPosition);
+	$("#prome-adv-portrait").prop("checked", settings.advPortrait);
+	$("#prome-adv-box-opacity").val(settings.advBoxOpacity);
+	$("#prome-adv-box-opacity-counter").val(settings.advBoxOpacity);
+	$("#prome-adv-box-width").val(settings.advBoxWidth);
+	$("#prome-adv-box-width-counter").val(settings.advBoxWidth);
+	$("#prome-nvl-page-size").val(settings.nvlPageSize);
+	$("#prome-nvl-page-size-counter").val(settings.nvlPageSize);
+	$("#prome-nvl-font-size").val(settings.nvlFontSize);
+	$("#prome-nvl-font-size-counter").val(settings.nvlFontSize);
+	$("#prome-nvl-panel-opacity").val(settings.nvlPanelOpacity);
+	$("#prome-nvl-panel-opacity-counter").val(settings.nvlPanelOpacity);
+	refreshAdvNameColorsHTML();
+}
+
+export function setupSheldLayoutJQuery() {
+	$("#prome-sheld-layout").on("change", onSheldLayout_Select);
+	$("#prome-adv-box-position").on("change", onAdvBoxPosition_Select);
+	$("#prome-adv-portrait").on("click", onAdvPortrait_Click);
+	$("#prome-adv-box-opacity").on("input", onAdvBoxOpacity_Change);
+	$("#prome-adv-box-opacity-counter").on("input", onAdvBoxOpacity_Change);
+	$("#prome-adv-box-width").on("input", onAdvBoxWidth_Change);
+	$("#prome-adv-box-width-counter").on("input", onAdvBoxWidth_Change);
+	$("#prome-adv-name-character").on("change", setupNameColorHTML);
+	$("#prome-adv-name-color-picker").on("change", onAdvNameColor_Change);
+	$("#prome-adv-box-opacity-restore").on("click", resetAdvBoxOpacity);
+	$("#prome-adv-box-width-restore").on("click", resetAdvBoxWidth);
+	$("#prome-adv-name-color-restore").on("click", resetAdvNameColor);
+	$("#prome-nvl-page-size").on("input", onNvlPageSize_Change);
+	$("#prome-nvl-page-size-counter").on("input", onNvlPageSize_Change);
+	$("#prome-nvl-font-size").on("input", onNvlFontSize_Change);
+	$("#prome-nvl-font-size-counter").on("input", onNvlFontSize_Change);
+	$("#prome-nvl-panel-opacity").on("input", onNvlPanelOpacity_Change);
+	$("#prome-nvl-panel-opacity-counter").on("input", onNvlPanelOpacity_Change);
+	$("#prome-nvl-page-size-restore").on("click", resetNvlPageSize);
+	$("#prome-nvl-font-size-restore").on("click", resetNvlFontSize);
+	$("#prome-nvl-panel-opacity-restore").on("click", resetNvlPanelOpacity);
+}
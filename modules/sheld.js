@@ -2,6 +2,14 @@ import { extension_settings } from "../../../../extensions.js";
 import { extensionName } from "../constants.js";
 import { saveSettingsDebounced } from "../../../../../script.js";
 import { getChatId } from "../utils.js";
+import { applyTypewriter } from "./typewriter.js";
+import { applyMessagePaging } from "./paging.js";
+import {
+	applySheldLayout,
+	getNvlPageStart,
+	isNvlLayoutActive,
+} from "./sheld-layout.js";
+import { getRollbackMessageId, getStageMessage } from "./rollback.js";
 
 /* Sheld Functions */
 export function applySheldVisibility() {
@@ -39,7 +47,7 @@ export function applySheldMode() {
 	if (!extension_settings[extensionName].enableVN_UI) {
 		// revert all changes if VN mode is disabled
 		$("#chat [id='show_more_messages']").removeClass("displayNone");
-		$("#chat .mes").removeClass("displayNone");
+		$("#chat .mes").removeClass("displayNone prome-rollback-message");
 	} else {
 		// hide "Show more messages" as it's obsolete for single message mode
 		// show it if the mode is disabled
@@ -49,13 +57,27 @@ export function applySheldMode() {
 		);
 
 		// remove previous messages that were hidden in the chat div
-		$("#chat .mes").removeClass("displayNone");
+		$("#chat .mes").removeClass("displayNone prome-rollback-message");
 
 		// now hide all messages except the last one ("mes last_mes")
-		if (extension_settings[extensionName].showOnlyLastMessage) {
+		if (getRollbackMessageId() !== null) {
+			// the rolled back message takes the place of the last one
+			getStageMessage().addClass("prome-rollback-message");
+			$("#chat .mes:not(.prome-rollback-message)").addClass("displayNone");
+		} else if (isNvlLayoutActive()) {
+			// NVL pages keep every message since the page started
+			const pageStart = getNvlPageStart();
+			$("#chat .mes")
+				.filter((_, mes) => Number($(mes).attr("mesid")) < pageStart)
+				.addClass("displayNone");
+		} else if (extension_settings[extensionName].showOnlyLastMessage) {
 			$("#chat .mes:not(.last_mes)").addClass("displayNone"); // hide all messages except the last one
 		}
 	}
+
+	applySheldLayout();
+	applyTypewriter();
+	applyMessagePaging();
 }
 
 /* Event Handlers */
@@ -0,0 +1,185 @@
+import { extensionName } from "../constants.js";
+import {
+	extension_settings,
+	saveMetadataDebounced,
+} from "../../../../extensions.js";
+import { saveSettingsDebounced, chat_metadata } from "../../../../../script.js";
+import { isLastMessagePage, turnMessagePage } from "./paging.js";
+import { isTypewriterRunning } from "./typewriter.js";
+import { getRollbackMessageId, stepRollback } from "./rollback.js";
+
+// How long each page or rolled back message stays up while skipping
+const skipStepInterval = 150;
+
+let skipTimer = null;
+
+/* Read Tracking Functions */
+/**
+ * Returns the index of the last message the user has read in the current chat
+ * @returns {number} - The message index (-1 if nothing was read yet)
+ */
+export function getLastReadMessage() {
+	return Number(chat_metadata?.prome_last_read_message ?? -1);
+}
+
+function setLastReadMessage(messageId) {
+	if (!chat_metadata) return;
+	chat_metadata.prome_last_read_message = messageId;
+	saveMetadataDebounced();
+}
+
+/**
+ * Marks the messages before the last one as read, and the last one once it's
+ * fully shown (typed out and on its last page)
+ */
+export function updateLastReadMessage() {
+	const messageId = Number($("#chat .last_mes").attr("mesid"));
+	if (Number.isNaN(messageId)) return;
+
+	const fullyShown = !isTypewriterRunning() && isLastMessagePage();
+	const lastRead = Math.max(
+		getLastReadMessage(),
+		fullyShown ? messageId : messageId - 1,
+	);
+	if (lastRead !== getLastReadMessage()) setLastReadMessage(lastRead);
+}
+
+/**
+ * Marks a message (and everything after it) as unread, e.g. after a swipe or deletion
+ * @param {number} messageId - The first unread message
+ */
+export function markMessageUnread(messageId) {
+	if (messageId > getLastReadMessage()) return;
+	setLastReadMessage(messageId - 1);
+}
+
+/* Skip Functions */
+export function isSkipActive() {
+	return Boolean(extension_settings[extensionName].skipMode);
+}
+
+/**
+ * Returns whether a message is shown instantly because skip mode is on and it was read before
+ * @param {number} messageId - The message index
+ * @returns {boolean} - Whether the message is skipped
+ */
+export function isSkippingMessage(messageId) {
+	return isSkipActive() && Number(messageId) <= getLastReadMessage();
+}
+
+/**
+ * Returns whether transitions and shake effects should be skipped
+ * @returns {boolean} - Whether effects are skipped
+ */
+export function isSkippingEffects() {
+	return isSkipActive() && extension_settings[extensionName].skipEffects;
+}
+
+export function stopSkipping() {
+	clearTimeout(skipTimer);
+	skipTimer = null;
+}
+
+function stopAtUnreadMessage() {
+	stopSkipping();
+	setSkipMode(false);
+	toastr.info("Skip stopped at the first unread message.", "Skip Mode");
+}
+
+// Moves one step through read content: a rolled back message, then the pages of the last message
+async function skipForward() {
+	skipTimer = null;
+	if (!isSkipActive()) return;
+
+	if (getRollbackMessageId() !== null) {
+		await stepRollback(1);
+		const messageId =
+			getRollbackMessageId() ?? Number($("#chat .last_mes").attr("mesid"));
+		if (!isSkippingMessage(messageId)) {
+			stopAtUnreadMessage();
+			return;
+		}
+	} else {
+		const messageId = Number($("#chat .last_mes").attr("mesid"));
+		// New messages play normally, skip picks up again on read ones
+		if (!isSkippingMessage(messageId)) return;
+		if (!turnMessagePage(1)) {
+			updateLastReadMessage();
+			return;
+		}
+	}
+
+	skipTimer = setTimeout(skipForward, skipStepInterval);
+}
+
+/**
+ * Fast-forwards through read content: rolled back messages up to the present,
+ * then the pages of the last message. Stops at the first unread message.
+ */
+export function startSkipping() {
+	stopSkipping();
+	if (!isSkipActive()) return;
+	skipTimer = setTimeout(skipForward, skipStepInterval);
+}
+
+/**
+ * Fast-forwards a rendered message if it was read before. Unread messages are shown normally.
+ * @param {number} messageId - The index of the rendered message
+ */
+export function applySkipToMessage(messageId) {
+	if (!isSkippingMessage(messageId)) return;
+	if (!isLastMessagePage()) startSkipping();
+}
+
+/* Apply Functions */
+export function applySkipMode() {
+	console.debug(
+		`[${extensionName}] Skip Mode?: ${extension_settings[extensionName].skipMode}`,
+	);
+
+	$("body").toggleClass("skipMode", isSkipActive());
+	if (isSkipActive()) {
+		startSkipping();
+	} else {
+		stopSkipping();
+	}
+}
+
+function setSkipMode(value) {
+	extension_settings[extensionName].skipMode = value;
+	$("#prome-skip-mode").prop("checked", value);
+	saveSettingsDebounced();
+	applySkipMode();
+}
+
+/* Action Functions */
+function onSkipMode_Click(event) {
+	setSkipMode(Boolean($(event.target).prop("checked")));
+}
+
+function onSkipIndicator_Click() {
+	setSkipMode(false);
+}
+
+function onSkipEffects_Click(event) {
+	const value = Boolean($(event.target).prop("checked"));
+	extension_settings[extensionName].skipEffects = value;
+	saveSettingsDebounced();
+}
+
+export function setupSkipHTML() {
+	$("#prome-skip-mode").prop(
+		"checked",
+		extension_settings[extensionName].skipMode,
+	);
+	$("#prome-skip-effects").prop(
+		"checked",
+		extension_settings[extensionName].skipEffects,
+	);
+}
+
+export function setupSkipJQuery() {
+	$("#prome-skip-mode").on("click", onSkipMode_Click);
+	$("#prome-skip-effects").on("click", onSkipEffects_Click);
+	$("#prome-skip-indicator").on("click", onSkipIndicator_Click);
+}
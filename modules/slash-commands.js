@@ -9,11 +9,11 @@ import {
 	enumTypes,
 } from "../../../../slash-commands/SlashCommandEnumValue.js";
 
-import { VN_MODES, extensionName } from "../constants.js";
+import { SHELD_LAYOUTS, VN_MODES, extensionName } from "../constants.js";
 import { extension_settings } from "../../../../extensions.js";
 import { saveSettingsDebounced } from "../../../../../script.js";
 
-import { applyLetterboxMode } from "./letterbox.js";
+import { applyLetterboxMode, parseAspectRatio } from "./letterbox.js";
 import {
 	applySpriteZoomAnimation,
 	applySpriteDefocusTint,
@@ -21,8 +21,34 @@ import {
 } from "./focus.js";
 import { applySpriteShake } from "./shake.js";
 import { applySpriteShadow } from "./shadows.js";
-import { applyTint } from "./tint.js";
-import { getSpriteList, isGroupChat } from "../utils.js";
+import {
+	applyTint,
+	getTintPreset,
+	saveTintPreset,
+	selectTintPreset,
+	setTintChannels,
+	tintFilterChannels,
+} from "./tint.js";
+import {
+	applyTintSchedule,
+	getStoryTime,
+	setStoryTime,
+} from "./tint-schedule.js";
+import {
+	getWeatherSettings,
+	setWeatherSettings,
+	weatherTypeNames,
+} from "./weather.js";
+import { playSceneCut, sceneCutTypes } from "./transitions.js";
+import {
+	captionPositions,
+	hideCaption,
+	playTitleCard,
+	showCaption,
+} from "./captions.js";
+import { applySheldMode } from "./sheld.js";
+import { startNvlPage } from "./sheld-layout.js";
+import { easingFunctions, getSpriteList, isGroupChat } from "../utils.js";
 import { applyUserSprite, handleUserSprite } from "./user.js";
 import { visualNovelUpdateLayers } from "../../../expressions/index.js";
 
@@ -30,12 +56,26 @@ export function prepareSlashCommands() {
 	SlashCommandParser.addCommandObject(
 		SlashCommand.fromProps({
 			name: "letterbox",
-			/** @type {(args: { mode: string | undefined }) => void} */
+			/** @type {(args: { mode: string | undefined, ratio: string | undefined }) => void} */
 			callback: async (args, _) => {
+				if (args.ratio !== undefined) {
+					const ratio = parseAspectRatio(args.ratio);
+					if (ratio === null) {
+						toastr.error(
+							'Please use a ratio such as "2.39", "16:9" or "4:3".',
+							"Invalid Ratio",
+						);
+						return extension_settings[extensionName].letterboxMode;
+					}
+					switchLetterboxRatio(ratio);
+				}
+
 				if (args.mode === "horizontal") {
 					switchLetterboxMode(VN_MODES.HORIZONTAL);
 				} else if (args.mode === "vertical") {
 					switchLetterboxMode(VN_MODES.VERTICAL);
+				} else if (args.mode === "ratio") {
+					switchLetterboxMode(VN_MODES.RATIO);
 				} else if (args.mode === "off") {
 					switchLetterboxMode(VN_MODES.NONE);
 				}
@@ -74,8 +114,20 @@ export function prepareSlashCommands() {
 							"Enable vertical letterboxes.",
 							enumTypes.namedArgument,
 						),
+						new SlashCommandEnumValue(
+							"ratio",
+							"Enable letterboxes that frame the screen to an aspect ratio.",
+							enumTypes.namedArgument,
+						),
 					],
 				}),
+				SlashCommandNamedArgument.fromProps({
+					name: "ratio",
+					description:
+						'The aspect ratio for ratio mode, such as "2.39", "16:9" or "4:3".',
+					isRequired: false,
+					typeList: [ARGUMENT_TYPE.STRING],
+				}),
 			],
 			helpString:
 				"(Prome Visual Novel Extension) Switches the letterbox mode in the VN UI.",
@@ -300,6 +352,530 @@ export function prepareSlashCommands() {
 		}),
 	);
 
+	SlashCommandParser.addCommandObject(
+		SlashCommand.fromProps({
+			name: "tint-preset",
+			/** @type {(args: { name: string | undefined, duration: string | undefined, easing: string | undefined }) => void} */
+			callback: async (args, _) => {
+				if (!getTintPreset(args.name)) {
+					toastr.error(
+						`The tint preset "${args.name}" does not exist.`,
+						"Invalid Tint Preset",
+					);
+					return "";
+				}
+				if (
+					args.easing &&
+					!Object.keys(easingFunctions).includes(args.easing)
+				) {
+					toastr.error(
+						'Please use "ease", "ease-in", "ease-out", "ease-in-out" or "linear".',
+						"Invalid Easing",
+					);
+					return "";
+				}
+
+				const options = {};
+				if (args.duration !== undefined) {
+					const duration = Number(args.duration);
+					if (Number.isNaN(duration) || duration < 0) {
+						toastr.error(
+							"Please provide a duration in seconds (0 or higher).",
+							"Invalid Duration",
+						);
+						return "";
+					}
+					options.duration = duration;
+				}
+				if (args.easing) options.easing = args.easing;
+
+				const presetObject = selectTintPreset(args.name, options);
+				return presetObject.name;
+			},
+			namedArgumentList: [
+				SlashCommandNamedArgument.fromProps({
+					name: "name",
+					description: "The name of the tint preset to switch to.",
+					isRequired: true,
+					typeList: [ARGUMENT_TYPE.STRING],
+					enumProvider: getTintPresetEnumList,
+				}),
+				SlashCommandNamedArgument.fromProps({
+					name: "duration",
+					description:
+						"How long to fade to the tint preset in seconds (defaults to the Transition Duration setting).",
+					isRequired: false,
+					typeList: [ARGUMENT_TYPE.NUMBER],
+				}),
+				SlashCommandNamedArgument.fromProps({
+					name: "easing",
+					description:
+						"The easing of the fade (defaults to the Transition Easing setting).",
+					isRequired: false,
+					typeList: [ARGUMENT_TYPE.STRING],
+					enumList: Object.keys(easingFunctions).map(
+						(easing) =>
+							new SlashCommandEnumValue(
+								easing,
+								null,
+								enumTypes.namedArgument,
+							),
+					),
+				}),
+			],
+			helpString:
+				"(Prome Visual Novel Extension) Fades the world/character tint to a tint preset.",
+		}),
+	);
+
+	SlashCommandParser.addCommandObject(
+		SlashCommand.fromProps({
+			name: "tint-set",
+			/** @type {(args: { target: string | undefined, enabled: string | undefined } & Record<string, string | undefined>) => void} */
+			callback: async (args, _) => {
+				if (args.target !== "world" && args.target !== "character") {
+					toastr.error('Please use "world" or "character".', "Invalid Target");
+					return "";
+				}
+
+				const values = {};
+				if (args.enabled !== undefined) {
+					if (args.enabled !== "true" && args.enabled !== "false") {
+						toastr.error('Please use "true" or "false".', "Invalid Enabled");
+						return "";
+					}
+					values.enabled = args.enabled === "true";
+				}
+				for (const channel of tintFilterChannels) {
+					if (args[channel] === undefined) continue;
+
+					const value = Number(args[channel]);
+					if (Number.isNaN(value) || value < 0) {
+						toastr.error(
+							`Please provide a ${channel} value of 0 or higher.`,
+							"Invalid Tint Value",
+						);
+						return "";
+					}
+					values[channel] = value;
+				}
+
+				return JSON.stringify(setTintChannels(args.target, values));
+			},
+			namedArgumentList: [
+				SlashCommandNamedArgument.fromProps({
+					name: "target",
+					description: "The tint to change.",
+					isRequired: true,
+					typeList: [ARGUMENT_TYPE.STRING],
+					enumList: [
+						new SlashCommandEnumValue(
+							"world",
+							"The world background tint.",
+							enumTypes.namedArgument,
+						),
+						new SlashCommandEnumValue(
+							"character",
+							"The character sprite tint.",
+							enumTypes.namedArgument,
+						),
+					],
+				}),
+				SlashCommandNamedArgument.fromProps({
+					name: "enabled",
+					description: "Whether the tint is enabled.",
+					isRequired: false,
+					typeList: [ARGUMENT_TYPE.BOOLEAN],
+				}),
+				...tintFilterChannels.map((channel) =>
+					SlashCommandNamedArgument.fromProps({
+						name: channel,
+						description: `The ${channel} value of the tint.`,
+						isRequired: false,
+						typeList: [ARGUMENT_TYPE.NUMBER],
+					}),
+				),
+			],
+			helpString:
+				"(Prome Visual Novel Extension) Sets channels of the current world/character tint and returns the updated tint as JSON.",
+		}),
+	);
+
+	SlashCommandParser.addCommandObject(
+		SlashCommand.fromProps({
+			name: "tint-save",
+			/** @type {(args: { name: string | undefined }) => void} */
+			callback: async (args, _) => {
+				const name = String(args.name ?? "").trim();
+				if (name.length === 0) {
+					toastr.error(
+						"Please provide a tint preset name.",
+						"No Name Provided",
+					);
+					return "";
+				}
+
+				return saveTintPreset(name).name;
+			},
+			namedArgumentList: [
+				SlashCommandNamedArgument.fromProps({
+					name: "name",
+					description:
+						"The name of the tint preset (an existing preset with this name is overwritten).",
+					isRequired: true,
+					typeList: [ARGUMENT_TYPE.STRING],
+					enumProvider: getTintPresetEnumList,
+				}),
+			],
+			helpString:
+				"(Prome Visual Novel Extension) Saves the current world/character tint as a tint preset.",
+		}),
+	);
+
+	SlashCommandParser.addCommandObject(
+		SlashCommand.fromProps({
+			name: "tint-list",
+			callback: async () => {
+				return JSON.stringify(
+					extension_settings[extensionName].tintPresets.map(
+						(preset) => preset.name,
+					),
+				);
+			},
+			helpString:
+				"(Prome Visual Novel Extension) Returns the names of all tint presets as a JSON array.",
+		}),
+	);
+
+	SlashCommandParser.addCommandObject(
+		SlashCommand.fromProps({
+			name: "tint-schedule",
+			callback: async () => {
+				switchTintScheduleMode();
+				toastr.success(
+					`Time-of-day tint schedule is now ${extension_settings[extensionName].tintSchedule
+						? "enabled"
+						: "disabled"
+					}.`,
+					"Tint Schedule Status",
+				);
+				return extension_settings[extensionName].tintSchedule;
+			},
+			helpString:
+				"(Prome Visual Novel Extension) Toggles the time-of-day tint schedule.",
+		}),
+	);
+
+	SlashCommandParser.addCommandObject(
+		SlashCommand.fromProps({
+			name: "tint-time",
+			/** @type {(args: { time: string | undefined }) => void} */
+			callback: async (args, _) => {
+				if (args.time === undefined) return getStoryTime();
+
+				const time = setStoryTime(args.time);
+				if (!time) {
+					toastr.error(
+						'Please use a 24-hour time such as "6:00" or "18:30".',
+						"Invalid Time",
+					);
+					return "";
+				}
+				return time;
+			},
+			namedArgumentList: [
+				SlashCommandNamedArgument.fromProps({
+					name: "time",
+					description:
+						"The in-story time of day (24-hour clock). Returns the current in-story time if omitted.",
+					isRequired: false,
+					typeList: [ARGUMENT_TYPE.STRING],
+				}),
+			],
+			helpString:
+				"(Prome Visual Novel Extension) Sets the in-story time of the current chat used by the tint schedule.",
+		}),
+	);
+
+	SlashCommandParser.addCommandObject(
+		SlashCommand.fromProps({
+			name: "weather",
+			/** @type {(args: { type: string | undefined, intensity: string | undefined, speed: string | undefined, wind: string | undefined }) => void} */
+			callback: async (args, _) => {
+				const weather = {};
+
+				if (args.type === "off") {
+					weather.enabled = false;
+				} else if (args.type !== undefined) {
+					if (!weatherTypeNames.includes(args.type)) {
+						toastr.error(
+							`Please use "off" or one of: ${weatherTypeNames.join(", ")}.`,
+							"Invalid Weather Type",
+						);
+						return "";
+					}
+					weather.enabled = true;
+					weather.type = args.type;
+				}
+
+				const numberArgs = [
+					{ arg: "intensity", key: "density", min: 0, max: 100 },
+					{ arg: "speed", key: "speed", min: 1, max: 200 },
+					{ arg: "wind", key: "wind", min: -60, max: 60 },
+				];
+				for (const { arg, key, min, max } of numberArgs) {
+					if (args[arg] === undefined) continue;
+
+					const value = Number(args[arg]);
+					if (Number.isNaN(value) || value < min || value > max) {
+						toastr.error(
+							`Please provide a ${arg} from ${min} to ${max}.`,
+							"Invalid Weather Value",
+						);
+						return "";
+					}
+					weather[key] = value;
+				}
+
+				setWeatherSettings(weather);
+				const current = getWeatherSettings();
+				return current.enabled ? current.type : "off";
+			},
+			namedArgumentList: [
+				SlashCommandNamedArgument.fromProps({
+					name: "type",
+					description: 'The weather to show ("off" clears the weather).',
+					isRequired: false,
+					typeList: [ARGUMENT_TYPE.STRING],
+					enumList: ["off", ...weatherTypeNames].map(
+						(type) =>
+							new SlashCommandEnumValue(type, null, enumTypes.namedArgument),
+					),
+				}),
+				SlashCommandNamedArgument.fromProps({
+					name: "intensity",
+					description: "How many particles to show (0-100).",
+					isRequired: false,
+					typeList: [ARGUMENT_TYPE.NUMBER],
+				}),
+				SlashCommandNamedArgument.fromProps({
+					name: "speed",
+					description: "How fast the particles move (1-200, 100 is normal).",
+					isRequired: false,
+					typeList: [ARGUMENT_TYPE.NUMBER],
+				}),
+				SlashCommandNamedArgument.fromProps({
+					name: "wind",
+					description: "The wind angle in degrees (-60 to 60).",
+					isRequired: false,
+					typeList: [ARGUMENT_TYPE.NUMBER],
+				}),
+			],
+			helpString:
+				"(Prome Visual Novel Extension) Changes the weather effects and returns the current weather type.",
+		}),
+	);
+
+	SlashCommandParser.addCommandObject(
+		SlashCommand.fromProps({
+			name: "transition",
+			/** @type {(args: { type: string | undefined, duration: string | undefined }) => void} */
+			callback: async (args, _) => {
+				const type = args.type ?? "fade-black";
+				if (!sceneCutTypes.includes(type)) {
+					toastr.error(
+						`Please use one of: ${sceneCutTypes.join(", ")}.`,
+						"Invalid Transition",
+					);
+					return "";
+				}
+
+				const duration =
+					args.duration === undefined
+						? Number(extension_settings[extensionName].sceneTransitionDuration)
+						: Number(args.duration);
+				if (Number.isNaN(duration) || duration < 0) {
+					toastr.error(
+						"Please provide a duration in seconds (0 or higher).",
+						"Invalid Duration",
+					);
+					return "";
+				}
+
+				await playSceneCut(type, duration);
+				return type;
+			},
+			namedArgumentList: [
+				SlashCommandNamedArgument.fromProps({
+					name: "type",
+					description: "The scene cut to play (defaults to fade-black).",
+					isRequired: false,
+					typeList: [ARGUMENT_TYPE.STRING],
+					enumList: sceneCutTypes.map(
+						(type) =>
+							new SlashCommandEnumValue(type, null, enumTypes.namedArgument),
+					),
+				}),
+				SlashCommandNamedArgument.fromProps({
+					name: "duration",
+					description:
+						"How long the scene cut takes in seconds (defaults to the Transition Duration setting).",
+					isRequired: false,
+					typeList: [ARGUMENT_TYPE.NUMBER],
+				}),
+			],
+			helpString:
+				"(Prome Visual Novel Extension) Plays a scene cut over the stage and waits for it to finish.",
+		}),
+	);
+
+	SlashCommandParser.addCommandObject(
+		SlashCommand.fromProps({
+			name: "nvl",
+			callback: async () => {
+				const enabled = switchNvlLayout();
+				toastr.success(
+					`NVL mode is now ${enabled ? "enabled" : "disabled"}.`,
+					"NVL Mode Status",
+				);
+				return enabled;
+			},
+			helpString:
+				"(Prome Visual Novel Extension) Toggles the NVL full-screen text layout (turns on Traditional VN Mode if needed).",
+		}),
+	);
+
+	SlashCommandParser.addCommandObject(
+		SlashCommand.fromProps({
+			name: "nvl-page",
+			callback: async () => {
+				startNvlPage();
+				applySheldMode();
+				return "";
+			},
+			helpString:
+				"(Prome Visual Novel Extension) Clears the NVL page so the next message starts a new one, e.g. on a scene change.",
+		}),
+	);
+
+	SlashCommandParser.addCommandObject(
+		SlashCommand.fromProps({
+			name: "caption",
+			/** @type {(args: { text: string | undefined, position: string | undefined, duration: string | undefined }) => void} */
+			callback: async (args, _) => {
+				const position = args.position ?? "bottom";
+				if (!captionPositions.includes(position)) {
+					toastr.error(
+						`Please use one of: ${captionPositions.join(", ")}.`,
+						"Invalid Caption Position",
+					);
+					return "";
+				}
+
+				if (!args.text) {
+					hideCaption(position);
+					return "";
+				}
+
+				const duration =
+					args.duration === undefined
+						? Number(extension_settings[extensionName].captionDuration)
+						: Number(args.duration);
+				if (Number.isNaN(duration) || duration < 0) {
+					toastr.error(
+						"Please provide a duration in seconds (0 keeps the caption).",
+						"Invalid Duration",
+					);
+					return "";
+				}
+
+				showCaption(args.text, position, duration);
+				return args.text;
+			},
+			namedArgumentList: [
+				SlashCommandNamedArgument.fromProps({
+					name: "text",
+					description:
+						"The caption text. Clears the caption at the given position if omitted.",
+					isRequired: false,
+					typeList: [ARGUMENT_TYPE.STRING],
+				}),
+				SlashCommandNamedArgument.fromProps({
+					name: "position",
+					description: "Where to show the caption (defaults to bottom).",
+					isRequired: false,
+					typeList: [ARGUMENT_TYPE.STRING],
+					enumList: captionPositions.map(
+						(position) =>
+							new SlashCommandEnumValue(
+								position,
+								null,
+								enumTypes.namedArgument,
+							),
+					),
+				}),
+				SlashCommandNamedArgument.fromProps({
+					name: "duration",
+					description:
+						"How long to show the caption in seconds, 0 keeps it until cleared (defaults to the Caption Duration setting).",
+					isRequired: false,
+					typeList: [ARGUMENT_TYPE.NUMBER],
+				}),
+			],
+			helpString:
+				"(Prome Visual Novel Extension) Shows a caption in the letterbox, such as a location or a timestamp.",
+		}),
+	);
+
+	SlashCommandParser.addCommandObject(
+		SlashCommand.fromProps({
+			name: "title-card",
+			/** @type {(args: { title: string | undefined, subtitle: string | undefined, duration: string | undefined }) => void} */
+			callback: async (args, _) => {
+				if (!args.title) {
+					toastr.error("Please provide a title.", "No Title Provided");
+					return "";
+				}
+
+				const duration =
+					args.duration === undefined ? 3 : Number(args.duration);
+				if (Number.isNaN(duration) || duration < 0) {
+					toastr.error(
+						"Please provide a duration in seconds (0 or higher).",
+						"Invalid Duration",
+					);
+					return "";
+				}
+
+				await playTitleCard(args.title, args.subtitle, duration);
+				return args.title;
+			},
+			namedArgumentList: [
+				SlashCommandNamedArgument.fromProps({
+					name: "title",
+					description: 'The title to show, e.g. "Chapter 3 — The Dream Ends".',
+					isRequired: true,
+					typeList: [ARGUMENT_TYPE.STRING],
+				}),
+				SlashCommandNamedArgument.fromProps({
+					name: "subtitle",
+					description: "The text shown under the title.",
+					isRequired: false,
+					typeList: [ARGUMENT_TYPE.STRING],
+				}),
+				SlashCommandNamedArgument.fromProps({
+					name: "duration",
+					description:
+						"How long to hold the title in seconds, not counting the fades (defaults to 3).",
+					isRequired: false,
+					typeList: [ARGUMENT_TYPE.NUMBER],
+				}),
+			],
+			helpString:
+				"(Prome Visual Novel Extension) Darkens the screen, shows a centered title card and reveals the scene again.",
+		}),
+	);
+
 	SlashCommandParser.addCommandObject(
 		SlashCommand.fromProps({
 			name: "express",
@@ -405,6 +981,12 @@ export function prepareSlashCommands() {
 	);
 }
 
+function getTintPresetEnumList() {
+	return extension_settings[extensionName].tintPresets.map(
+		(preset) => new SlashCommandEnumValue(preset.name, null, enumTypes.name),
+	);
+}
+
 function switchLetterboxMode(mode) {
 	extension_settings[extensionName].letterboxMode = mode;
 	saveSettingsDebounced();
@@ -412,6 +994,27 @@ function switchLetterboxMode(mode) {
 	applyLetterboxMode();
 }
 
+function switchLetterboxRatio(ratio) {
+	extension_settings[extensionName].letterboxRatio = ratio;
+	saveSettingsDebounced();
+	$("#prome-letterbox-ratio").val(ratio).trigger("change");
+}
+
+function switchNvlLayout() {
+	const settings = extension_settings[extensionName];
+	if (settings.sheldLayout === SHELD_LAYOUTS.NVL) {
+		settings.sheldLayout = SHELD_LAYOUTS.DEFAULT;
+	} else {
+		settings.sheldLayout = SHELD_LAYOUTS.NVL;
+		settings.showOnlyLastMessage = true;
+	}
+	saveSettingsDebounced();
+	$("#prome-sheld-layout").val(settings.sheldLayout);
+	$("#prome-sheld-last_mes").prop("checked", settings.showOnlyLastMessage);
+	applySheldMode();
+	return settings.sheldLayout === SHELD_LAYOUTS.NVL;
+}
+
 function switchFocusModeAnimation(animation) {
 	extension_settings[extensionName].zoomAnimation = animation;
 	saveSettingsDebounced();
@@ -502,6 +1105,16 @@ function switchTintSharedMode() {
 	applyTint();
 }
 
+function switchTintScheduleMode() {
+	extension_settings[extensionName].tintSchedule =
+		!extension_settings[extensionName].tintSchedule;
+	saveSettingsDebounced();
+	$("#prome-tint-schedule")
+		.prop("checked", extension_settings[extensionName].tintSchedule)
+		.trigger("input");
+	applyTintSchedule();
+}
+
 function setUserExpression(expression) {
 	$("#expression-prome-user")
 		.children("img")
@@ -0,0 +1,319 @@
+import { extension_settings } from "../../../../extensions.js";
+import { saveSettingsDebounced } from "../../../../../script.js";
+import { download, getFileText } from "../../../../utils.js";
+import {
+	POPUP_RESULT,
+	POPUP_TYPE,
+	callGenericPopup,
+} from "../../../../popup.js";
+import {
+	extensionName,
+	defaultTintOverlay,
+	defaultTintVignette,
+} from "../constants.js";
+import {
+	getTintPreset,
+	refreshTintPresetHTML,
+	tintFilterChannels,
+	tintOverlayBlendModes,
+} from "./tint.js";
+import { weatherTypeNames } from "./weather.js";
+
+// Custom popup result for renaming a conflicting preset
+const RENAME_RESULT = 2;
+
+/* Validation Functions */
+function validateTintChannel(channel, channelName) {
+	if (typeof channel !== "object" || channel === null) {
+		return `"${channelName}" must be an object.`;
+	}
+	if (typeof channel.enabled !== "boolean") {
+		return `"${channelName}.enabled" must be true or false.`;
+	}
+	for (const key of tintFilterChannels) {
+		const value = channel[key];
+		if (typeof value !== "number" || !Number.isFinite(value) || value < 0) {
+			return `"${channelName}.${key}" must be a number of 0 or higher.`;
+		}
+	}
+	return null;
+}
+
+function isPercentage(value) {
+	return typeof value === "number" && value >= 0 && value <= 100;
+}
+
+// Overlays and vignettes are optional as older presets don't have them
+function validateTintLayers(preset) {
+	const { overlay, vignette } = preset;
+
+	if (overlay !== undefined) {
+		if (typeof overlay !== "object" || overlay === null) {
+			return '"overlay" must be an object.';
+		}
+		if (typeof overlay.enabled !== "boolean") {
+			return '"overlay.enabled" must be true or false.';
+		}
+		if (typeof overlay.color !== "string") {
+			return '"overlay.color" must be a CSS color string.';
+		}
+		if (!tintOverlayBlendModes.includes(overlay.blendMode)) {
+			return `"overlay.blendMode" must be one of: ${tintOverlayBlendModes.join(", ")}.`;
+		}
+		if (!isPercentage(overlay.opacity)) {
+			return '"overlay.opacity" must be a number from 0 to 100.';
+		}
+	}
+
+	if (vignette !== undefined) {
+		if (typeof vignette !== "object" || vignette === null) {
+			return '"vignette" must be an object.';
+		}
+		if (typeof vignette.enabled !== "boolean") {
+			return '"vignette.enabled" must be true or false.';
+		}
+		if (!isPercentage(vignette.strength)) {
+			return '"vignette.strength" must be a number from 0 to 100.';
+		}
+		if (!isPercentage(vignette.radius)) {
+			return '"vignette.radius" must be a number from 0 to 100.';
+		}
+	}
+
+	return null;
+}
+
+// Weather is optional as it's only saved with "Save Weather With Presets"
+function validateTintWeather(weather) {
+	if (weather === undefined) return null;
+	if (typeof weather !== "object" || weather === null) {
+		return '"weather" must be an object.';
+	}
+	if (typeof weather.enabled !== "boolean") {
+		return '"weather.enabled" must be true or false.';
+	}
+	if (!weatherTypeNames.includes(weather.type)) {
+		return `"weather.type" must be one of: ${weatherTypeNames.join(", ")}.`;
+	}
+	if (!isPercentage(weather.density)) {
+		return '"weather.density" must be a number from 0 to 100.';
+	}
+	if (
+		typeof weather.speed !== "number" ||
+		weather.speed < 1 ||
+		weather.speed > 200
+	) {
+		return '"weather.speed" must be a number from 1 to 200.';
+	}
+	if (
+		typeof weather.wind !== "number" ||
+		weather.wind < -60 ||
+		weather.wind > 60
+	) {
+		return '"weather.wind" must be a number from -60 to 60.';
+	}
+	if (typeof weather.color !== "string") {
+		return '"weather.color" must be a CSS color string.';
+	}
+	return null;
+}
+
+/**
+ * Checks that an imported object is a valid tint preset
+ * @param {object} preset - The imported tint preset
+ * @returns {string|null} - The reason the preset is invalid, or null if it is valid
+ */
+export function validateTintPreset(preset) {
+	if (typeof preset !== "object" || preset === null) {
+		return "The preset must be an object.";
+	}
+	if (typeof preset.name !== "string" || preset.name.trim().length === 0) {
+		return '"name" must be a non-empty string.';
+	}
+	if (preset.shared !== undefined && typeof preset.shared !== "boolean") {
+		return '"shared" must be true or false.';
+	}
+	return (
+		validateTintChannel(preset.world, "world") ??
+		validateTintChannel(preset.character, "character") ??
+		validateTintLayers(preset) ??
+		validateTintWeather(preset.weather)
+	);
+}
+
+// Copies only the known tint preset fields
+function sanitizeTintPreset(preset) {
+	const copyChannel = (channel) => {
+		const copy = { enabled: channel.enabled };
+		for (const key of tintFilterChannels) copy[key] = channel[key];
+		return copy;
+	};
+
+	const sanitized = {
+		name: preset.name.trim(),
+		shared: Boolean(preset.shared),
+		world: copyChannel(preset.world),
+		character: copyChannel(preset.character),
+		overlay: {
+			enabled: preset.overlay?.enabled ?? defaultTintOverlay.enabled,
+			color: preset.overlay?.color ?? defaultTintOverlay.color,
+			blendMode: preset.overlay?.blendMode ?? defaultTintOverlay.blendMode,
+			opacity: preset.overlay?.opacity ?? defaultTintOverlay.opacity,
+		},
+		vignette: {
+			enabled: preset.vignette?.enabled ?? defaultTintVignette.enabled,
+			strength: preset.vignette?.strength ?? defaultTintVignette.strength,
+			radius: preset.vignette?.radius ?? defaultTintVignette.radius,
+		},
+	};
+	if (preset.weather) {
+		const { enabled, type, density, speed, wind, color } = preset.weather;
+		sanitized.weather = { enabled, type, density, speed, wind, color };
+	}
+	return sanitized;
+}
+
+/* Export Functions */
+function exportTintPresets(presets, fileName) {
+	download(JSON.stringify(presets, null, 4), fileName, "application/json");
+}
+
+function onTintPreset_Export() {
+	const selectedTint = String($("#prome-tint-preset").val());
+	const presetObject = getTintPreset(selectedTint);
+	if (!presetObject) {
+		toastr.warning("Select a tint preset to export.");
+		return;
+	}
+	exportTintPresets(presetObject, `${presetObject.name}.json`);
+}
+
+function onTintPreset_ExportAll() {
+	const presets = extension_settings[extensionName].tintPresets;
+	if (presets.length === 0) {
+		toastr.warning("There are no tint presets to export.");
+		return;
+	}
+	exportTintPresets(presets, "prome-tint-presets.json");
+}
+
+/* Import Functions */
+function getUniquePresetName(name) {
+	let index = 2;
+	let uniqueName = `${name} (${index})`;
+	while (getTintPreset(uniqueName)) {
+		index++;
+		uniqueName = `${name} (${index})`;
+	}
+	return uniqueName;
+}
+
+/**
+ * Asks the user how to import a preset whose name is already taken
+ * @param {object} preset - The imported tint preset
+ * @returns {Promise<object|null>} - The preset to import (possibly renamed) with whether to overwrite, or null to skip
+ */
+async function resolvePresetConflict(preset) {
+	const result = await callGenericPopup(
+		`A tint preset named "${preset.name}" already exists. What would you like to do?`,
+		POPUP_TYPE.TEXT,
+		"",
+		{
+			okButton: "Overwrite",
+			cancelButton: "Skip",
+			customButtons: [{ text: "Rename", result: RENAME_RESULT }],
+		},
+	);
+
+	if (result === POPUP_RESULT.AFFIRMATIVE) {
+		return { preset, overwrite: true };
+	}
+	if (result !== RENAME_RESULT) return null;
+
+	const newName = await callGenericPopup(
+		"Enter a new name for the imported tint preset:",
+		POPUP_TYPE.INPUT,
+		getUniquePresetName(preset.name),
+	);
+	if (!newName || String(newName).trim().length === 0) return null;
+
+	const renamed = { ...preset, name: String(newName).trim() };
+	// The new name may also be taken
+	if (getTintPreset(renamed.name)) return resolvePresetConflict(renamed);
+	return { preset: renamed, overwrite: false };
+}
+
+async function importTintPresets(data) {
+	const presets = Array.isArray(data) ? data : [data];
+	const imported = [];
+	let skipped = 0;
+
+	for (const preset of presets) {
+		const error = validateTintPreset(preset);
+		if (error) {
+			const name = typeof preset?.name === "string" ? preset.name : "Unnamed";
+			toastr.warning(error, `Invalid tint preset: ${name}`);
+			skipped++;
+			continue;
+		}
+
+		let resolved = { preset: sanitizeTintPreset(preset), overwrite: false };
+		if (getTintPreset(resolved.preset.name)) {
+			resolved = await resolvePresetConflict(resolved.preset);
+			if (!resolved) {
+				skipped++;
+				continue;
+			}
+		}
+
+		const tintPresets = extension_settings[extensionName].tintPresets;
+		if (resolved.overwrite) {
+			const index = tintPresets.indexOf(getTintPreset(resolved.preset.name));
+			tintPresets[index] = resolved.preset;
+		} else {
+			tintPresets.push(resolved.preset);
+		}
+		imported.push(resolved.preset.name);
+	}
+
+	if (imported.length > 0) {
+		saveSettingsDebounced();
+		refreshTintPresetHTML();
+		toastr.success(
+			`Imported ${imported.join(", ")}.`,
+			"Tint Presets Imported",
+		);
+	} else if (skipped > 0) {
+		toastr.info("No tint presets were imported.");
+	}
+}
+
+async function onTintPresetImport_Change(event) {
+	const file = event.target.files?.[0];
+	// Reset the input so the same file can be imported again
+	$(event.target).val("");
+	if (!file) return;
+
+	let data;
+	try {
+		data = JSON.parse(await getFileText(file));
+	} catch (err) {
+		console.error(`[${extensionName}] Failed to read tint presets:`, err);
+		toastr.error(
+			`${file.name} is not a valid JSON file.`,
+			"Tint Preset Import Failed",
+		);
+		return;
+	}
+
+	await importTintPresets(data);
+}
+
+export function setupTintImportExportJQuery() {
+	$("#prome-tint-export").on("click", onTintPreset_Export);
+	$("#prome-tint-export-all").on("click", onTintPreset_ExportAll);
+	$("#prome-tint-import").on("click", () =>
+		$("#prome-tint-import-file").trigger("click"),
+	);
+	$("#prome-tint-import-file").on("change", onTintPresetImport_Change);
+}
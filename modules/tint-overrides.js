@@ -0,0 +1,144 @@
+import { extension_settings } from "../../../../extensions.js";
+import { saveSettingsDebounced } from "../../../../../script.js";
+import { extensionName } from "../constants.js";
+import { getCharacterKey, getChatCharacters, isGroupChat } from "../utils.js";
+import {
+	buildTintFilter,
+	neutralTintChannel,
+	tintFilterChannels,
+} from "./tint.js";
+
+/* Override Functions */
+function getTintOverride(avatar) {
+	return extension_settings[extensionName].tintCharacterOverrides[avatar];
+}
+
+function applyTintOverrideToSprite(sprite, avatar) {
+	const override = avatar ? getTintOverride(avatar) : undefined;
+	const enabled = Boolean(override?.enabled);
+
+	sprite.toggleClass("prome-tint-override", enabled);
+	sprite.each(function () {
+		if (enabled) {
+			this.style.setProperty(
+				"--prome-sprite-tint-filter",
+				buildTintFilter(override),
+			);
+		} else {
+			this.style.removeProperty("--prome-sprite-tint-filter");
+		}
+	});
+}
+
+/**
+ * Applies each character's tint override to its sprite container
+ */
+export function applyTintOverrides() {
+	$("#visual-novel-wrapper > div").each(function () {
+		const avatar = this.id.replace(/^expression-/, "");
+		applyTintOverrideToSprite($(this), avatar);
+	});
+
+	// 1:1 chats show the character in the expression holder instead
+	applyTintOverrideToSprite(
+		$("#expression-holder"),
+		isGroupChat() ? null : getCharacterKey(),
+	);
+}
+
+/* Override Settings */
+function getSelectedOverrideAvatar() {
+	return String($("#prome-tint-override-character").val() ?? "");
+}
+
+function setupTintOverrideInputsHTML() {
+	const avatar = getSelectedOverrideAvatar();
+	const override = getTintOverride(avatar) ?? {
+		enabled: false,
+		...neutralTintChannel,
+	};
+
+	$("#prome-tint-override-settings").toggle(avatar.length > 0);
+	$("#prome-tint-override-enable").prop("checked", override.enabled);
+	for (const channel of tintFilterChannels) {
+		$(`#prome-tint-override-${channel}`).val(override[channel]);
+	}
+}
+
+/**
+ * Rebuilds the override character dropdown from the current chat
+ */
+export function refreshTintOverridesHTML() {
+	const select = $("#prome-tint-override-character");
+	const selectedAvatar = getSelectedOverrideAvatar();
+	const characters = getChatCharacters();
+
+	select.empty();
+	for (const character of characters) {
+		const option = document.createElement("option");
+		option.value = character.avatar;
+		option.text = character.name;
+		option.selected = character.avatar === selectedAvatar;
+		select.append(option);
+	}
+
+	setupTintOverrideInputsHTML();
+}
+
+// Creates the override for the selected character on first edit
+function getOrCreateSelectedOverride() {
+	const avatar = getSelectedOverrideAvatar();
+	if (!avatar) return null;
+
+	const overrides = extension_settings[extensionName].tintCharacterOverrides;
+	overrides[avatar] ??= { enabled: false, ...neutralTintChannel };
+	return overrides[avatar];
+}
+
+/* Event Handlers */
+function onTintOverrideEnable_Click(event) {
+	const override = getOrCreateSelectedOverride();
+	if (!override) return;
+
+	override.enabled = Boolean($(event.target).prop("checked"));
+	saveSettingsDebounced();
+	applyTintOverrides();
+}
+
+function onTintOverrideChannel_Change() {
+	const channel = $(this).attr("data-channel");
+	const value = Number(this.value);
+	if (!tintFilterChannels.includes(channel) || value < 0) {
+		console.error(
+			`[${extensionName}] Invalid tint override ${channel} value: ${this.value}`,
+		);
+		return;
+	}
+
+	const override = getOrCreateSelectedOverride();
+	if (!override) return;
+
+	override[channel] = value;
+	saveSettingsDebounced();
+	applyTintOverrides();
+}
+
+function onTintOverride_Clear() {
+	const avatar = getSelectedOverrideAvatar();
+	if (!avatar) return;
+
+	delete extension_settings[extensionName].tintCharacterOverrides[avatar];
+	saveSettingsDebounced();
+	setupTintOverrideInputsHTML();
+	applyTintOverrides();
+}
+
+export function setupTintOverridesJQuery() {
+	$("#prome-tint-override-character").on(
+		"change",
+		setupTintOverrideInputsHTML,
+	);
+	$("#prome-tint-override-enable").on("click", onTintOverrideEnable_Click);
+	$(".prome-tint-override-channel").on("input", onTintOverrideChannel_Change);
+	$("#prome-tint-override-clear").on("click", onTintOverride_Clear);
+}
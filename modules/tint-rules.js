@@ -0,0 +1,188 @@
+import { extension_settings, getContext } from "../../../../extensions.js";
+import { saveSettingsDebounced } from "../../../../../script.js";
+import { regexFromString } from "../../../../utils.js";
+import { extensionName } from "../constants.js";
+import {
+	createTintPresetSelect,
+	getShownTintValues,
+	getTintPreset,
+	previewTintValues,
+} from "./tint.js";
+import { isTintScheduleActive } from "./tint-schedule.js";
+
+// When each rule last fired (rules are keyed by object so edits keep their cooldown)
+const ruleLastTriggered = new WeakMap();
+
+/* Matching Functions */
+/**
+ * Checks whether a message matches a tint rule pattern.
+ * Patterns written as /regex/flags are matched as regular expressions,
+ * anything else is matched as a case-insensitive keyword.
+ * @param {string} pattern - The rule pattern
+ * @param {string} text - The message text
+ * @returns {boolean} - Whether the message matches the pattern
+ */
+export function matchesTintRule(pattern, text) {
+	const trimmedPattern = String(pattern ?? "").trim();
+	if (trimmedPattern.length === 0) return false;
+
+	if (/^\/.+\/[a-z]*$/.test(trimmedPattern)) {
+		const regex = regexFromString(trimmedPattern);
+		if (!regex) {
+			console.error(
+				`[${extensionName}] Invalid tint rule regex: ${trimmedPattern}`,
+			);
+			return false;
+		}
+		// Global/sticky regexes keep state between calls
+		regex.lastIndex = 0;
+		return regex.test(text);
+	}
+
+	return text.toLowerCase().includes(trimmedPattern.toLowerCase());
+}
+
+function isRuleCoolingDown(rule) {
+	const cooldown = Number(rule.cooldown) || 0;
+	const lastTriggered = ruleLastTriggered.get(rule);
+	if (cooldown <= 0 || lastTriggered === undefined) return false;
+
+	return Date.now() - lastTriggered < cooldown * 1000;
+}
+
+/**
+ * Shows a tint preset, without saving it, when a character message matches a tint rule.
+ * The first matching rule in the table that isn't cooling down wins.
+ * @param {number} messageId - The index of the rendered message
+ */
+export function applyTintRules(messageId) {
+	if (!extension_settings[extensionName].tintRules) return;
+
+	// The schedule decides the tint while it's active
+	if (isTintScheduleActive()) return;
+
+	const message = getContext().chat[messageId];
+	if (!message || message.is_user || message.is_system) return;
+
+	const rule = extension_settings[extensionName].tintRuleEntries.find(
+		(entry) =>
+			matchesTintRule(entry.pattern, message.mes ?? "") &&
+			!isRuleCoolingDown(entry),
+	);
+	if (!rule) return;
+
+	if (getShownTintValues()?.name === rule.preset) return;
+
+	const presetObject = getTintPreset(rule.preset);
+	if (!presetObject) {
+		console.debug(
+			`[${extensionName}] Tint rule preset not found: ${rule.preset}`,
+		);
+		return;
+	}
+
+	console.debug(
+		`[${extensionName}] Tint rule matched: ${rule.pattern} -> ${rule.preset}`,
+	);
+
+	previewTintValues(presetObject);
+	ruleLastTriggered.set(rule, Date.now());
+}
+
+/* Rule Entry Functions */
+/**
+ * Renders the tint rules in the tint settings
+ */
+export function refreshTintRulesHTML() {
+	const list = $("#prome-tint-rules-list");
+	list.empty();
+
+	extension_settings[extensionName].tintRuleEntries.forEach((entry, index) => {
+		const row = $("<div></div>")
+			.addClass("prome-tint-rule-entry flex-container flexFlowRow")
+			.attr("data-index", index);
+		const pattern = $('<input type="text" />')
+			.addClass("text_pole prome-tint-rule-pattern")
+			.attr("placeholder", "night falls or /regex/i")
+			.val(entry.pattern);
+		const cooldown = $('<input type="number" min="0" step="1" />')
+			.addClass("text_pole prome-tint-rule-cooldown")
+			.attr("title", "Cooldown (seconds)")
+			.val(entry.cooldown);
+		const remove = $("<div></div>")
+			.addClass("menu_button prome-tint-rule-remove")
+			.attr("title", "Remove tint rule")
+			.append('<i class="fa-solid fa-trash-can"></i>');
+
+		row.append(
+			pattern,
+			createTintPresetSelect(entry.preset, "prome-tint-rule-preset"),
+			cooldown,
+			remove,
+		);
+		list.append(row);
+	});
+}
+
+function onTintRuleEntry_Change() {
+	const row = $(this).closest(".prome-tint-rule-entry");
+	const entry =
+		extension_settings[extensionName].tintRuleEntries[
+			Number(row.attr("data-index"))
+		];
+	if (!entry) return;
+
+	const cooldown = Number(row.find(".prome-tint-rule-cooldown").val());
+	if (!Number.isFinite(cooldown) || cooldown < 0) {
+		console.error(`[${extensionName}] Invalid tint rule cooldown: ${cooldown}`);
+		return;
+	}
+
+	entry.pattern = String(row.find(".prome-tint-rule-pattern").val());
+	entry.preset = String(row.find(".prome-tint-rule-preset").val());
+	entry.cooldown = cooldown;
+	saveSettingsDebounced();
+}
+
+function onTintRuleEntry_Remove() {
+	const row = $(this).closest(".prome-tint-rule-entry");
+	extension_settings[extensionName].tintRuleEntries.splice(
+		Number(row.attr("data-index")),
+		1,
+	);
+	saveSettingsDebounced();
+	refreshTintRulesHTML();
+}
+
+function onTintRuleEntry_Add() {
+	extension_settings[extensionName].tintRuleEntries.push({
+		pattern: "",
+		preset: extension_settings[extensionName].selectedTint,
+		cooldown: 0,
+	});
+	saveSettingsDebounced();
+	refreshTintRulesHTML();
+}
+
+/* Event Handlers */
+function onTintRules_Click(event) {
+	const value = Boolean($(event.target).prop("checked"));
+	extension_settings[extensionName].tintRules = value;
+	saveSettingsDebounced();
+}
+
+export function setupTintRulesHTML() {
+	$("#prome-tint-rules").prop(
+		"checked",
+		extension_settings[extensionName].tintRules,
+	);
+	refreshTintRulesHTML();
+}
+
+export function setupTintRulesJQuery() {
+	$("#prome-tint-rules").on("click", onTintRules_Click);
+	$("#prome-tint-rules-add").on("click", onTintRuleEntry_Add);
+	$("#prome-tint-rules-list")
+		.on("change", "input, select", onTintRuleEntry_Change)
+		.on("click", ".prome-tint-rule-remove", onTintRuleEntry_Remove);
+}
@@ -0,0 +1,302 @@
+import {
+	extension_settings,
+	saveMetadataDebounced,
+} from "../../../../extensions.js";
+import { saveSettingsDebounced, chat_metadata } from "../../../../../script.js";
+import { extensionName } from "../constants.js";
+import {
+	applyTintBindings,
+	clearTintPreview,
+	createTintPresetSelect,
+	getTintPreset,
+	interpolateTintValues,
+	previewTintValues,
+} from "./tint.js";
+import { getRollbackMessageId } from "./rollback.js";
+
+const MINUTES_PER_DAY = 24 * 60;
+
+let scheduleInterval = null;
+// Whether the scheduled tint is on screen instead of the saved one
+let scheduledTintShown = false;
+
+/* Time Functions */
+/**
+ * Parses a time of day such as "18:30" or "7"
+ * @param {string} value - The time of day (24-hour clock)
+ * @returns {number|null} - Minutes since midnight, or null if invalid
+ */
+export function parseTimeOfDay(value) {
+	const match = String(value ?? "")
+		.trim()
+		.match(/^(\d{1,2})(?::(\d{2}))?$/);
+	if (!match) return null;
+
+	const hours = Number(match[1]);
+	const minutes = Number(match[2] ?? 0);
+	if (hours > 23 || minutes > 59) return null;
+
+	return hours * 60 + minutes;
+}
+
+function formatTimeOfDay(minutes) {
+	const hours = String(Math.floor(minutes / 60)).padStart(2, "0");
+	return `${hours}:${String(minutes % 60).padStart(2, "0")}`;
+}
+
+/**
+ * Returns the in-story time of the current chat
+ * @returns {string} - The in-story time of day ("HH:MM")
+ */
+export function getStoryTime() {
+	return (
+		chat_metadata?.prome_story_time ??
+		extension_settings[extensionName].tintScheduleStoryTime
+	);
+}
+
+/**
+ * Sets the in-story time of the current chat and updates the schedule
+ * @param {string} value - The time of day (24-hour clock)
+ * @returns {string|null} - The normalized time of day, or null if invalid
+ */
+export function setStoryTime(value) {
+	const minutes = parseTimeOfDay(value);
+	if (minutes === null) return null;
+
+	const time = formatTimeOfDay(minutes);
+	chat_metadata.prome_story_time = time;
+	saveMetadataDebounced();
+	$("#prome-tint-schedule-story-time").val(time);
+
+	if (extension_settings[extensionName].tintScheduleSource === "story") {
+		applyTintSchedule();
+	}
+	return time;
+}
+
+function getScheduleTime() {
+	if (extension_settings[extensionName].tintScheduleSource === "story") {
+		return parseTimeOfDay(getStoryTime()) ?? 0;
+	}
+
+	const now = new Date();
+	return now.getHours() * 60 + now.getMinutes();
+}
+
+/* Schedule Functions */
+/**
+ * Returns whether the time-of-day schedule controls the tint
+ * @returns {boolean} - Whether the schedule is enabled and has valid entries
+ */
+export function isTintScheduleActive() {
+	return (
+		Boolean(extension_settings[extensionName].tintSchedule) &&
+		getScheduleEntries().length > 0
+	);
+}
+
+// Valid schedule entries sorted by time of day
+function getScheduleEntries() {
+	return extension_settings[extensionName].tintScheduleEntries
+		.map((entry) => ({
+			minutes: parseTimeOfDay(entry.time),
+			preset: getTintPreset(entry.preset),
+		}))
+		.filter((entry) => entry.minutes !== null && entry.preset)
+		.sort((a, b) => a.minutes - b.minutes);
+}
+
+/**
+ * Blends the scheduled tint presets surrounding a time of day
+ * @param {number} minutes - Minutes since midnight
+ * @returns {object|null} - The blended tint values, or null if nothing is scheduled
+ */
+function getScheduledTint(minutes) {
+	const entries = getScheduleEntries();
+	if (entries.length === 0) return null;
+	if (entries.length === 1) return entries[0].preset;
+
+	// Find the last entry at or before the time, wrapping around midnight
+	let previousIndex = entries.length - 1;
+	for (let i = 0; i < entries.length; i++) {
+		if (entries[i].minutes <= minutes) previousIndex = i;
+	}
+	const previous = entries[previousIndex];
+	const next = entries[(previousIndex + 1) % entries.length];
+
+	const span =
+		(next.minutes - previous.minutes + MINUTES_PER_DAY) % MINUTES_PER_DAY ||
+		MINUTES_PER_DAY;
+	const elapsed =
+		(minutes - previous.minutes + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+
+	const blended = interpolateTintValues(
+		previous.preset,
+		next.preset,
+		elapsed / span,
+	);
+	// Name the blend after whichever preset is closer
+	blended.name =
+		elapsed / span < 0.5 ? previous.preset.name : next.preset.name;
+	return blended;
+}
+
+/**
+ * Shows the tint for the current time of day and keeps it updated, without saving it
+ * @param {object} [options] - Transition options for the first update (see previewTintValues)
+ */
+export function applyTintSchedule(options = {}) {
+	clearInterval(scheduleInterval);
+	scheduleInterval = null;
+	$("#prome-tint-schedule-story-time").val(getStoryTime());
+
+	console.debug(
+		`[${extensionName}] Tint Schedule?: ${extension_settings[extensionName].tintSchedule}`,
+	);
+
+	if (!isTintScheduleActive()) {
+		// Go back to the bound (or global) tint the schedule was covering
+		if (scheduledTintShown) {
+			scheduledTintShown = false;
+			clearTintPreview();
+			applyTintBindings();
+		}
+		return;
+	}
+
+	const updateScheduledTint = (transitionOptions = {}) => {
+		// Rollback shows the tint recorded for the older message
+		if (getRollbackMessageId() !== null) return;
+
+		const scheduledTint = getScheduledTint(getScheduleTime());
+		if (!scheduledTint) return;
+		previewTintValues(scheduledTint, transitionOptions);
+		scheduledTintShown = true;
+	};
+
+	updateScheduledTint(options);
+
+	// The system clock keeps moving, the story clock only moves via /tint-time
+	if (extension_settings[extensionName].tintScheduleSource === "system") {
+		scheduleInterval = setInterval(updateScheduledTint, 60 * 1000);
+	}
+}
+
+/* Schedule Entry Functions */
+/**
+ * Renders the schedule entries in the tint settings
+ */
+export function refreshTintScheduleHTML() {
+	const list = $("#prome-tint-schedule-list");
+	list.empty();
+
+	extension_settings[extensionName].tintScheduleEntries.forEach(
+		(entry, index) => {
+			const row = $("<div></div>")
+				.addClass("prome-tint-schedule-entry flex-container flexFlowRow")
+				.attr("data-index", index);
+			const time = $('<input type="time" />')
+				.addClass("text_pole prome-tint-schedule-time")
+				.val(entry.time);
+			const remove = $("<div></div>")
+				.addClass("menu_button prome-tint-schedule-remove")
+				.attr("title", "Remove schedule entry")
+				.append('<i class="fa-solid fa-trash-can"></i>');
+
+			row.append(
+				time,
+				createTintPresetSelect(entry.preset, "prome-tint-schedule-preset"),
+				remove,
+			);
+			list.append(row);
+		},
+	);
+}
+
+function onScheduleEntry_Change() {
+	const row = $(this).closest(".prome-tint-schedule-entry");
+	const entry =
+		extension_settings[extensionName].tintScheduleEntries[
+			Number(row.attr("data-index"))
+		];
+	if (!entry) return;
+
+	entry.time = String(row.find(".prome-tint-schedule-time").val());
+	entry.preset = String(row.find(".prome-tint-schedule-preset").val());
+	saveSettingsDebounced();
+	applyTintSchedule();
+}
+
+function onScheduleEntry_Remove() {
+	const row = $(this).closest(".prome-tint-schedule-entry");
+	extension_settings[extensionName].tintScheduleEntries.splice(
+		Number(row.attr("data-index")),
+		1,
+	);
+	saveSettingsDebounced();
+	refreshTintScheduleHTML();
+	applyTintSchedule();
+}
+
+function onScheduleEntry_Add() {
+	extension_settings[extensionName].tintScheduleEntries.push({
+		time: "12:00",
+		preset: extension_settings[extensionName].selectedTint,
+	});
+	saveSettingsDebounced();
+	refreshTintScheduleHTML();
+	applyTintSchedule();
+}
+
+/* Event Handlers */
+function onTintSchedule_Click(event) {
+	const value = Boolean($(event.target).prop("checked"));
+	extension_settings[extensionName].tintSchedule = value;
+	saveSettingsDebounced();
+	applyTintSchedule();
+}
+
+function onTintScheduleSource_Select() {
+	const value = String(this.value);
+	if (value !== "system" && value !== "story") {
+		console.error(
+			`[${extensionName}] Invalid tint schedule source value: ${value}`,
+		);
+		return;
+	}
+	extension_settings[extensionName].tintScheduleSource = value;
+	saveSettingsDebounced();
+	applyTintSchedule();
+}
+
+function onTintScheduleStoryTime_Change() {
+	if (!setStoryTime(this.value)) {
+		console.error(`[${extensionName}] Invalid story time value: ${this.value}`);
+	}
+}
+
+export function setupTintScheduleHTML() {
+	$("#prome-tint-schedule").prop(
+		"checked",
+		extension_settings[extensionName].tintSchedule,
+	);
+	$("#prome-tint-schedule-source").val(
+		extension_settings[extensionName].tintScheduleSource,
+	);
+	$("#prome-tint-schedule-story-time").val(getStoryTime());
+	refreshTintScheduleHTML();
+}
+
+export function setupTintScheduleJQuery() {
+	$("#prome-tint-schedule").on("click", onTintSchedule_Click);
+	$("#prome-tint-schedule-source").on("change", onTintScheduleSource_Select);
+	$("#prome-tint-schedule-story-time").on(
+		"change",
+		onTintScheduleStoryTime_Change,
+	);
+	$("#prome-tint-schedule-add").on("click", onScheduleEntry_Add);
+	$("#prome-tint-schedule-list")
+		.on("change", "input, select", onScheduleEntry_Change)
+		.on("click", ".prome-tint-schedule-remove", onScheduleEntry_Remove);
+}
@@ -1,7 +1,56 @@
 import { extension_settings } from "../../../../extensions.js";
 import { saveSettingsDebounced } from "../../../../../script.js";
-import { extensionName } from "../constants.js";
+import {
+	extensionName,
+	defaultSettings,
+	defaultTintOverlay,
+	defaultTintVignette,
+} from "../constants.js";
 import { POPUP_TYPE, callGenericPopup } from "../../../../popup.js";
+import {
+	easingFunctions,
+	getCharacterKey,
+	getChatId,
+	getEasingFunction,
+} from "../utils.js";
+import {
+	applyTintSchedule,
+	isTintScheduleActive,
+	refreshTintScheduleHTML,
+} from "./tint-schedule.js";
+import { refreshTintRulesHTML } from "./tint-rules.js";
+import { getWeatherSettings, setWeatherSettings } from "./weather.js";
+
+export const tintFilterChannels = [
+	"blur",
+	"brightness",
+	"contrast",
+	"grayscale",
+	"hue",
+	"invert",
+	"saturate",
+	"sepia",
+];
+
+// Filter values that leave the world/characters untouched
+export const neutralTintChannel = {
+	blur: 0,
+	brightness: 100,
+	contrast: 100,
+	grayscale: 0,
+	hue: 0,
+	invert: 0,
+	saturate: 100,
+	sepia: 0,
+};
+
+export const tintOverlayBlendModes = [
+	"normal",
+	"multiply",
+	"screen",
+	"overlay",
+	"soft-light",
+];
 
 export function applyTint() {
 	if (extension_settings[extensionName].worldTint === (null || undefined)) {
@@ -26,54 +75,353 @@ export function applyTint() {
 		extension_settings[extensionName].worldTint,
 	);
 
-	$("body").toggleClass(
-		"tintWorld",
-		extension_settings[extensionName].currentTintValues.world.enabled,
-	);
+	applyTintClasses(extension_settings[extensionName].currentTintValues);
+	addTint();
+}
 
-	$("body").toggleClass(
-		"tintCharacter",
-		extension_settings[extensionName].currentTintValues.character.enabled,
-	);
+function applyTintClasses(tintValues) {
+	$("body").toggleClass("tintWorld", tintValues.world.enabled);
+	$("body").toggleClass("tintCharacter", tintValues.character.enabled);
+	$("body").toggleClass("tintShared", tintValues.shared);
+	$("body").toggleClass("tintOverlay", tintValues.overlay.enabled);
+	$("body").toggleClass("tintVignette", tintValues.vignette.enabled);
+}
 
-	$("body").toggleClass(
-		"tintShared",
-		extension_settings[extensionName].currentTintValues.shared,
+/**
+ * Builds a CSS filter from a tint channel
+ * @param {object} channel - The tint channel values
+ * @returns {string} - The CSS filter
+ */
+export function buildTintFilter(channel) {
+	return `blur(${channel.blur}px) brightness(${channel.brightness}%) contrast(${channel.contrast}%) grayscale(${channel.grayscale}%) hue-rotate(${channel.hue}deg) invert(${channel.invert}%) saturate(${channel.saturate}%) sepia(${channel.sepia}%)`;
+}
+
+function renderTintLayers(tintValues) {
+	const rootStyle = document.documentElement.style;
+	rootStyle.setProperty(
+		"--prome-background-tint-filter",
+		buildTintFilter(tintValues.world),
+	);
+	rootStyle.setProperty(
+		"--prome-character-tint-filter",
+		buildTintFilter(tintValues.character),
 	);
 
-	addTint();
+	rootStyle.setProperty("--prome-tint-overlay-color", tintValues.overlay.color);
+	rootStyle.setProperty(
+		"--prome-tint-overlay-blend",
+		tintValues.overlay.blendMode,
+	);
+	rootStyle.setProperty(
+		"--prome-tint-overlay-opacity",
+		tintValues.overlay.opacity / 100,
+	);
+	rootStyle.setProperty(
+		"--prome-tint-vignette-strength",
+		tintValues.vignette.strength / 100,
+	);
+	rootStyle.setProperty(
+		"--prome-tint-vignette-radius",
+		`${tintValues.vignette.radius}%`,
+	);
 }
 
 function addTint() {
-	const worldTintFilter = `blur(${extension_settings[extensionName].currentTintValues.world.blur}px) brightness(${extension_settings[extensionName].currentTintValues.world.brightness}%) contrast(${extension_settings[extensionName].currentTintValues.world.contrast}%) grayscale(${extension_settings[extensionName].currentTintValues.world.grayscale}%) hue-rotate(${extension_settings[extensionName].currentTintValues.world.hue}deg) invert(${extension_settings[extensionName].currentTintValues.world.invert}%) saturate(${extension_settings[extensionName].currentTintValues.world.saturate}%) sepia(${extension_settings[extensionName].currentTintValues.world.sepia}%)`;
-	const characterTintFilter = `blur(${extension_settings[extensionName].currentTintValues.character.blur}px) brightness(${extension_settings[extensionName].currentTintValues.character.brightness}%) contrast(${extension_settings[extensionName].currentTintValues.character.contrast}%) grayscale(${extension_settings[extensionName].currentTintValues.character.grayscale}%) hue-rotate(${extension_settings[extensionName].currentTintValues.character.hue}deg) invert(${extension_settings[extensionName].currentTintValues.character.invert}%) saturate(${extension_settings[extensionName].currentTintValues.character.saturate}%) sepia(${extension_settings[extensionName].currentTintValues.character.sepia}%)`;
+	stopTintTransition();
+	previewedTintValues = null;
+	renderTintLayers(extension_settings[extensionName].currentTintValues);
 
-	document.documentElement.style.setProperty(
-		"--prome-background-tint-filter",
-		worldTintFilter,
+	// Edits go to the saved tint, the schedule keeps its own on screen
+	if (isTintScheduleActive()) applyTintSchedule({ duration: 0 });
+}
+
+/**
+ * Fills in tint channels missing from presets saved before they were added
+ * @param {object} tintValues - The tint preset or current tint values
+ */
+function migrateTintValues(tintValues) {
+	tintValues.overlay = { ...defaultTintOverlay, ...tintValues.overlay };
+	tintValues.vignette = { ...defaultTintVignette, ...tintValues.vignette };
+}
+
+/* Transition Functions */
+let tintTransitionFrame = null;
+// The tint values currently on screen while a transition is running
+let displayedTintValues = null;
+// Tint values shown without being saved (rollback, schedule), null while the saved tint is shown
+let previewedTintValues = null;
+
+function interpolateTintChannel(from, to, progress) {
+	// Disabled channels fade from/to a neutral filter
+	const fromValues = from.enabled ? from : neutralTintChannel;
+	const toValues = to.enabled ? to : neutralTintChannel;
+	const channel = {
+		enabled: progress < 1 ? from.enabled || to.enabled : to.enabled,
+	};
+
+	for (const key of tintFilterChannels) {
+		const start = Number(fromValues[key]);
+		const end = Number(toValues[key]);
+		channel[key] = start + (end - start) * progress;
+	}
+
+	return channel;
+}
+
+function parseColor(color) {
+	const rgba = String(color).match(/rgba?\(([^)]+)\)/);
+	if (rgba) {
+		const [red, green, blue, alpha = 1] = rgba[1].split(",").map(Number);
+		return [red, green, blue, alpha];
+	}
+
+	const hex = String(color).match(/^#([0-9a-f]{6})$/i);
+	if (hex) {
+		const value = Number.parseInt(hex[1], 16);
+		return [(value >> 16) & 255, (value >> 8) & 255, value & 255, 1];
+	}
+
+	return [0, 0, 0, 1];
+}
+
+function interpolateTintOverlay(from, to, progress) {
+	// Disabled overlays fade from/to fully transparent in the other's color
+	const fromColor = parseColor(from.enabled ? from.color : to.color);
+	const toColor = parseColor(to.enabled ? to.color : from.color);
+	const fromOpacity = from.enabled ? from.opacity : 0;
+	const toOpacity = to.enabled ? to.opacity : 0;
+
+	const color = fromColor.map((start, index) => {
+		const value = start + (toColor[index] - start) * progress;
+		return index < 3 ? Math.round(value) : value;
+	});
+
+	return {
+		enabled: progress < 1 ? from.enabled || to.enabled : to.enabled,
+		color: `rgba(${color.join(", ")})`,
+		blendMode: to.enabled ? to.blendMode : from.blendMode,
+		opacity: fromOpacity + (toOpacity - fromOpacity) * progress,
+	};
+}
+
+function interpolateTintVignette(from, to, progress) {
+	// Disabled vignettes fade from/to no strength at the other's radius
+	const fromStrength = from.enabled ? from.strength : 0;
+	const toStrength = to.enabled ? to.strength : 0;
+	const fromRadius = from.enabled ? from.radius : to.radius;
+	const toRadius = to.enabled ? to.radius : from.radius;
+
+	return {
+		enabled: progress < 1 ? from.enabled || to.enabled : to.enabled,
+		strength: fromStrength + (toStrength - fromStrength) * progress,
+		radius: fromRadius + (toRadius - fromRadius) * progress,
+	};
+}
+
+/**
+ * Blends two sets of tint values
+ * @param {object} from - The tint values at progress 0
+ * @param {object} to - The tint values at progress 1
+ * @param {number} progress - How far to blend towards `to` (0 to 1)
+ * @returns {object} - The blended tint values
+ */
+export function interpolateTintValues(from, to, progress) {
+	return {
+		name: to.name,
+		shared: progress < 1 ? from.shared : to.shared,
+		world: interpolateTintChannel(from.world, to.world, progress),
+		character: interpolateTintChannel(from.character, to.character, progress),
+		overlay: interpolateTintOverlay(from.overlay, to.overlay, progress),
+		vignette: interpolateTintVignette(from.vignette, to.vignette, progress),
+	};
+}
+
+function stopTintTransition() {
+	if (tintTransitionFrame !== null) {
+		cancelAnimationFrame(tintTransitionFrame);
+		tintTransitionFrame = null;
+	}
+	displayedTintValues = null;
+}
+
+/**
+ * Fades the on-screen tint from one set of tint values to another
+ * @param {object} fromValues - The tint values to fade from
+ * @param {object} toValues - The tint values to fade to
+ * @param {number} duration - The fade duration in seconds
+ * @param {string} easing - The name of the easing function
+ */
+function transitionTint(fromValues, toValues, duration, easing) {
+	const startValues = displayedTintValues ?? fromValues;
+	stopTintTransition();
+
+	const showTint = () => {
+		if (toValues === extension_settings[extensionName].currentTintValues) {
+			applyTint();
+			return;
+		}
+		applyTintClasses(toValues);
+		renderTintLayers(toValues);
+	};
+
+	if (!extension_settings[extensionName].worldTint || duration <= 0) {
+		showTint();
+		return;
+	}
+
+	const easingFunction = getEasingFunction(easing);
+	const startTime = performance.now();
+
+	const step = (now) => {
+		const progress = Math.min((now - startTime) / (duration * 1000), 1);
+		if (progress >= 1) {
+			tintTransitionFrame = null;
+			showTint();
+			return;
+		}
+
+		displayedTintValues = interpolateTintValues(
+			startValues,
+			toValues,
+			easingFunction(progress),
+		);
+		applyTintClasses(displayedTintValues);
+		renderTintLayers(displayedTintValues);
+		tintTransitionFrame = requestAnimationFrame(step);
+	};
+
+	tintTransitionFrame = requestAnimationFrame(step);
+}
+
+/**
+ * Returns the tint values on screen, which may be a preview rather than the saved tint
+ * @returns {object} - The shown tint values
+ */
+export function getShownTintValues() {
+	return (
+		previewedTintValues ?? extension_settings[extensionName].currentTintValues
 	);
-	document.documentElement.style.setProperty(
-		"--prome-character-tint-filter",
-		characterTintFilter,
+}
+
+/**
+ * Shows tint values without saving them or touching the tint settings
+ * @param {object} tintValues - The tint preset or tint values to show
+ * @param {object} [options] - Transition options
+ * @param {number} [options.duration] - Fade duration in seconds
+ * @param {string} [options.easing] - Easing function name
+ */
+export function previewTintValues(tintValues, options = {}) {
+	const {
+		duration = extension_settings[extensionName].tintTransitionDuration,
+		easing = extension_settings[extensionName].tintTransitionEasing,
+	} = options;
+	const previousTintValues = getShownTintValues();
+
+	previewedTintValues = structuredClone(tintValues);
+	migrateTintValues(previewedTintValues);
+	transitionTint(
+		previousTintValues,
+		previewedTintValues,
+		Number(duration),
+		easing,
 	);
 }
 
-function onTintPreset_Select() {
-	const selectedTint = String($("#prome-tint-preset").find(":selected").val());
-	const presetObject = extension_settings[extensionName].tintPresets.find(
-		(preset) => preset.name === selectedTint,
+/**
+ * Fades from a previewed tint back to the saved tint
+ * @param {object} [options] - Transition options
+ * @param {number} [options.duration] - Fade duration in seconds
+ * @param {string} [options.easing] - Easing function name
+ */
+export function clearTintPreview(options = {}) {
+	if (!previewedTintValues) return;
+
+	const {
+		duration = extension_settings[extensionName].tintTransitionDuration,
+		easing = extension_settings[extensionName].tintTransitionEasing,
+	} = options;
+	const previousTintValues = previewedTintValues;
+
+	previewedTintValues = null;
+	transitionTint(
+		previousTintValues,
+		extension_settings[extensionName].currentTintValues,
+		Number(duration),
+		easing,
 	);
+}
 
-	if (!presetObject) {
-		toastr.warning(`Could not find the selected tint preset: ${selectedTint}`);
-		return;
+/**
+ * Finds a tint preset by name
+ * @param {string} name - The tint preset name
+ * @returns {object|undefined} - The tint preset, if it exists
+ */
+export function getTintPreset(name) {
+	return extension_settings[extensionName].tintPresets.find(
+		(preset) => preset.name === name,
+	);
+}
+
+/**
+ * Returns the tint binding that applies to the current chat, if any.
+ * Chat bindings take priority over character/group bindings.
+ * @returns {{scope: string, key: string, preset: string}|null} - The active binding
+ */
+function getActiveTintBinding() {
+	const bindings = extension_settings[extensionName].tintBindings;
+
+	const chatId = getChatId();
+	if (chatId && bindings.chats[chatId]) {
+		return { scope: "chats", key: chatId, preset: bindings.chats[chatId] };
 	}
 
+	const characterKey = getCharacterKey();
+	if (characterKey && bindings.characters[characterKey]) {
+		return {
+			scope: "characters",
+			key: characterKey,
+			preset: bindings.characters[characterKey],
+		};
+	}
+
+	return null;
+}
+
+/**
+ * Stores the selected tint preset in the active binding,
+ * or as the global preset if the chat is unbound
+ * @param {string} name - The tint preset name
+ */
+function setSelectedTint(name) {
+	const binding = getActiveTintBinding();
+	if (binding) {
+		extension_settings[extensionName].tintBindings[binding.scope][binding.key] =
+			name;
+	} else {
+		extension_settings[extensionName].selectedTint = name;
+	}
+}
+
+/**
+ * Copies a tint preset into the current tint values and fades to it
+ * @param {object} presetObject - The tint preset to load
+ * @param {object} [options] - Transition options
+ * @param {number} [options.duration] - The fade duration in seconds (defaults to the Transition Duration setting)
+ * @param {string} [options.easing] - The easing function name (defaults to the Transition Easing setting)
+ */
+export function loadTintPreset(presetObject, options = {}) {
+	const {
+		duration = extension_settings[extensionName].tintTransitionDuration,
+		easing = extension_settings[extensionName].tintTransitionEasing,
+	} = options;
+	const previousTintValues = getShownTintValues();
+	previewedTintValues = null;
+
 	extension_settings[extensionName].currentTintValues = JSON.parse(
 		JSON.stringify(presetObject),
 	);
-	extension_settings[extensionName].selectedTint = presetObject.name;
 
+	$("#prome-tint-preset").val(presetObject.name);
 	$("#prome-tint-share").prop("checked", presetObject.shared);
 
 	// Apply World Tint Values
@@ -97,8 +445,186 @@ function onTintPreset_Select() {
 	$("#prome-character-invert").val(presetObject.character.invert);
 	$("#prome-character-saturate").val(presetObject.character.saturate);
 	$("#prome-character-sepia").val(presetObject.character.sepia);
+
+	// Apply Overlay/Vignette Values
+	migrateTintValues(extension_settings[extensionName].currentTintValues);
+	setupTintLayersHTML(extension_settings[extensionName].currentTintValues);
 	saveSettingsDebounced();
-	applyTint();
+
+	$("body").toggleClass(
+		"worldTint",
+		extension_settings[extensionName].worldTint,
+	);
+	transitionTint(
+		previousTintValues,
+		extension_settings[extensionName].currentTintValues,
+		Number(duration),
+		easing,
+	);
+
+	// Presets saved with "Save Weather With Presets" also change the weather
+	if (presetObject.weather) setWeatherSettings(presetObject.weather);
+}
+
+/**
+ * Selects a tint preset for the current chat and fades to it
+ * @param {string} name - The tint preset name
+ * @param {object} [options] - Transition options (see loadTintPreset)
+ * @returns {object|undefined} - The selected tint preset, if it exists
+ */
+export function selectTintPreset(name, options = {}) {
+	const presetObject = getTintPreset(name);
+	if (!presetObject) return;
+
+	setSelectedTint(presetObject.name);
+	loadTintPreset(presetObject, options);
+	return presetObject;
+}
+
+function onTintPreset_Select() {
+	const selectedTint = String($("#prome-tint-preset").find(":selected").val());
+
+	if (!selectTintPreset(selectedTint)) {
+		toastr.warning(`Could not find the selected tint preset: ${selectedTint}`);
+	}
+}
+
+/* Transition Settings */
+function onTintTransitionDuration_Change() {
+	const value = this.value;
+	if (value < 0 || value > 30) {
+		console.error(
+			`[${extensionName}] Invalid tint transition duration value: ${value}`,
+		);
+		return;
+	}
+	extension_settings[extensionName].tintTransitionDuration = Number(value);
+	$("#prome-tint-transition-duration").val(value);
+	$("#prome-tint-transition-duration-counter").val(value);
+	saveSettingsDebounced();
+}
+
+function resetTintTransitionDuration() {
+	extension_settings[extensionName].tintTransitionDuration =
+		defaultSettings.tintTransitionDuration;
+	$("#prome-tint-transition-duration")
+		.val(defaultSettings.tintTransitionDuration)
+		.trigger("input");
+	$("#prome-tint-transition-duration-counter").val(
+		defaultSettings.tintTransitionDuration,
+	);
+	saveSettingsDebounced();
+}
+
+function onTintTransitionEasing_Select() {
+	const value = String(this.value);
+	if (!Object.keys(easingFunctions).includes(value)) {
+		console.error(
+			`[${extensionName}] Invalid tint transition easing value: ${value}`,
+		);
+		return;
+	}
+	extension_settings[extensionName].tintTransitionEasing = value;
+	saveSettingsDebounced();
+}
+
+/* Binding Functions */
+// Whether the current tint came from a chat or character/group binding
+// (null until the first chat is loaded)
+let tintBindingApplied = null;
+
+/**
+ * Restores the tint preset bound to the current chat or character/group.
+ * Unbound chats fall back to the global preset.
+ */
+export function applyTintBindings() {
+	const bindings = extension_settings[extensionName].tintBindings;
+	const chatId = getChatId();
+	const characterKey = getCharacterKey();
+
+	$("#prome-tint-bind-chat").prop(
+		"checked",
+		Boolean(chatId && bindings.chats[chatId]),
+	);
+	$("#prome-tint-bind-character").prop(
+		"checked",
+		Boolean(characterKey && bindings.characters[characterKey]),
+	);
+
+	// The time-of-day schedule takes over the tint while it's active
+	if (isTintScheduleActive()) return;
+
+	const binding = getActiveTintBinding();
+
+	// On startup, the saved tint came from a binding if it isn't the global preset
+	if (tintBindingApplied === null) {
+		tintBindingApplied =
+			extension_settings[extensionName].currentTintValues.name !==
+			extension_settings[extensionName].selectedTint;
+	}
+
+	// Keep any unsaved changes to the global tint when staying unbound
+	if (!binding && !tintBindingApplied) return;
+
+	const presetName = binding
+		? binding.preset
+		: extension_settings[extensionName].selectedTint;
+	const presetObject = getTintPreset(presetName);
+	tintBindingApplied = Boolean(binding);
+
+	if (!presetObject) {
+		console.debug(
+			`[${extensionName}] Bound tint preset not found: ${presetName}`,
+		);
+		return;
+	}
+
+	console.debug(
+		`[${extensionName}] Restoring ${binding ? binding.scope : "global"} tint preset: ${presetName}`,
+	);
+	loadTintPreset(presetObject);
+}
+
+function setTintBinding(scope, key, value) {
+	const bindings = extension_settings[extensionName].tintBindings[scope];
+	if (value) {
+		bindings[key] = String($("#prome-tint-preset").val());
+	} else {
+		delete bindings[key];
+	}
+	saveSettingsDebounced();
+	applyTintBindings();
+}
+
+function onTintBindChat_Click(event) {
+	const value = Boolean($(event.target).prop("checked"));
+	const chatId = getChatId();
+	if (!chatId) {
+		toastr.warning("Open a chat to bind a tint preset to it.");
+		$(event.target).prop("checked", false);
+		return;
+	}
+	setTintBinding("chats", chatId, value);
+}
+
+function onTintBindCharacter_Click(event) {
+	const value = Boolean($(event.target).prop("checked"));
+	const characterKey = getCharacterKey();
+	if (!characterKey) {
+		toastr.warning("Open a character or group to bind a tint preset to it.");
+		$(event.target).prop("checked", false);
+		return;
+	}
+	setTintBinding("characters", characterKey, value);
+}
+
+function removeTintBindings(presetName) {
+	const bindings = extension_settings[extensionName].tintBindings;
+	for (const scope of Object.keys(bindings)) {
+		for (const [key, value] of Object.entries(bindings[scope])) {
+			if (value === presetName) delete bindings[scope][key];
+		}
+	}
 }
 
 async function onTintPreset_Delete() {
@@ -123,6 +649,11 @@ async function onTintPreset_Delete() {
 
 	extension_settings[extensionName].tintPresets.splice(index, 1);
 	$("#prome-tint-preset").find(`option[value="${selectedStyle}"]`).remove();
+	removeTintBindings(selectedStyle);
+	refreshTintScheduleHTML();
+	refreshTintRulesHTML();
+	$("#prome-tint-bind-chat").prop("checked", false);
+	$("#prome-tint-bind-character").prop("checked", false);
 
 	if (extension_settings[extensionName].tintPresets.length > 0) {
 		extension_settings[extensionName].selectedTint =
@@ -156,6 +687,12 @@ async function onTintPreset_Delete() {
 		extension_settings[extensionName].currentTintValues.character.saturate =
 			100;
 		extension_settings[extensionName].currentTintValues.character.sepia = 0;
+		extension_settings[extensionName].currentTintValues.overlay = {
+			...defaultTintOverlay,
+		};
+		extension_settings[extensionName].currentTintValues.vignette = {
+			...defaultTintVignette,
+		};
 
 		$("#prome-tint-preset").val("");
 		$("#prome-tint-share").prop("checked", false);
@@ -177,12 +714,56 @@ async function onTintPreset_Delete() {
 		$("#prome-character-invert").val(0);
 		$("#prome-character-saturate").val(100);
 		$("#prome-character-sepia").val(0);
+		setupTintLayersHTML(extension_settings[extensionName].currentTintValues);
 	}
 
 	saveSettingsDebounced();
 	applyTint();
 }
 
+/**
+ * Saves the current tint values as a tint preset,
+ * replacing any tint preset with the same name
+ * @param {string} name - The tint preset name
+ * @returns {object} - The saved tint preset
+ */
+export function saveTintPreset(name) {
+	const currentTintValues = extension_settings[extensionName].currentTintValues;
+	const copyChannel = (channel) => {
+		const copy = { enabled: Boolean(channel.enabled) };
+		for (const key of tintFilterChannels) copy[key] = Number(channel[key]);
+		return copy;
+	};
+
+	const tintObject = {
+		name: name,
+		shared: Boolean(currentTintValues.shared),
+		world: copyChannel(currentTintValues.world),
+		character: copyChannel(currentTintValues.character),
+		overlay: { ...currentTintValues.overlay },
+		vignette: { ...currentTintValues.vignette },
+	};
+	if (extension_settings[extensionName].tintPresetWeather) {
+		tintObject.weather = getWeatherSettings();
+	}
+
+	const tintPresets = extension_settings[extensionName].tintPresets;
+	const index = tintPresets.findIndex((preset) => preset.name === name);
+	if (index === -1) {
+		tintPresets.push(tintObject);
+	} else {
+		tintPresets[index] = tintObject;
+	}
+
+	setSelectedTint(name);
+	extension_settings[extensionName].currentTintValues = JSON.parse(
+		JSON.stringify(tintObject),
+	);
+	refreshTintPresetHTML(name);
+	saveSettingsDebounced();
+	return tintObject;
+}
+
 async function onTintPreset_Save() {
 	const userInput = await callGenericPopup(
 		"Enter the name of the tint preset:",
@@ -192,93 +773,32 @@ async function onTintPreset_Save() {
 	if (!userInput) return;
 
 	const name = String(userInput).trim();
-	const shared = Boolean($("#prome-tint-share").val());
-	const worldEnabled = Boolean($("#prome-world-tint").val());
-	const worldBlur = Number($("#prome-world-blur").val());
-	const worldBrightness = Number($("#prome-world-brightness").val());
-	const worldContrast = Number($("#prome-world-contrast").val());
-	const worldGrayscale = Number($("#prome-world-grayscale").val());
-	const worldHue = Number($("#prome-world-hue").val());
-	const worldInvert = Number($("#prome-world-invert").val());
-	const worldSaturate = Number($("#prome-world-saturate").val());
-	const worldSepia = Number($("#prome-world-sepia").val());
-	const characterEnabled = Boolean($("#prome-character-tint").val());
-	const characterBlur = Number($("#prome-character-blur").val());
-	const characterBrightness = Number($("#prome-character-brightness").val());
-	const characterContrast = Number($("#prome-character-contrast").val());
-	const characterGrayscale = Number($("#prome-character-grayscale").val());
-	const characterHue = Number($("#prome-character-hue").val());
-	const characterInvert = Number($("#prome-character-invert").val());
-	const characterSaturate = Number($("#prome-character-saturate").val());
-	const characterSepia = Number($("#prome-character-sepia").val());
-
-	const alreadyExists = extension_settings[extensionName].tintPresets.find(
-		(preset) => preset.name === name,
-	);
+	if (name.length === 0) return;
 
-	if (alreadyExists) {
-		alreadyExists.shared = shared;
-		alreadyExists.world.enabled = worldEnabled;
-		alreadyExists.world.blur = worldBlur;
-		alreadyExists.world.brightness = worldBrightness;
-		alreadyExists.world.contrast = worldContrast;
-		alreadyExists.world.grayscale = worldGrayscale;
-		alreadyExists.world.hue = worldHue;
-		alreadyExists.world.invert = worldInvert;
-		alreadyExists.world.saturate = worldSaturate;
-		alreadyExists.world.sepia = worldSepia;
-		alreadyExists.character.enabled = characterEnabled;
-		alreadyExists.character.blur = characterBlur;
-		alreadyExists.character.brightness = characterBrightness;
-		alreadyExists.character.contrast = characterContrast;
-		alreadyExists.character.grayscale = characterGrayscale;
-		alreadyExists.character.hue = characterHue;
-		alreadyExists.character.invert = characterInvert;
-		alreadyExists.character.saturate = characterSaturate;
-		alreadyExists.character.sepia = characterSepia;
-		$("#prome-tint-preset").val(name);
-		saveSettingsDebounced();
-	}
+	saveTintPreset(name);
+}
 
-	const tintObject = {
-		name: name,
-		shared: shared,
-		world: {
-			enabled: worldEnabled,
-			blur: worldBlur,
-			brightness: worldBrightness,
-			contrast: worldContrast,
-			grayscale: worldGrayscale,
-			hue: worldHue,
-			invert: worldInvert,
-			saturate: worldSaturate,
-			sepia: worldSepia,
-		},
-		character: {
-			enabled: characterEnabled,
-			blur: characterBlur,
-			brightness: characterBrightness,
-			contrast: characterContrast,
-			grayscale: characterGrayscale,
-			hue: characterHue,
-			invert: characterInvert,
-			saturate: characterSaturate,
-			sepia: characterSepia,
-		},
-	};
+/**
+ * Sets channels of the current world or character tint
+ * @param {"world"|"character"} target - The tint to change
+ * @param {object} values - The channel values to set (and optionally whether the tint is enabled)
+ * @returns {object} - The updated world or character tint
+ */
+export function setTintChannels(target, values) {
+	const channel = extension_settings[extensionName].currentTintValues[target];
+
+	for (const [key, value] of Object.entries(values)) {
+		channel[key] = value;
+		if (key === "enabled") {
+			$(`#prome-${target}-tint`).prop("checked", value);
+		} else {
+			$(`#prome-${target}-${key}`).val(value);
+		}
+	}
 
-	extension_settings[extensionName].tintPresets.push(tintObject);
-	const option = document.createElement("option");
-	option.value = name;
-	option.text = name;
-	option.selected = true;
-	$("#prome-tint-preset").append(option);
-	$("#prome-tint-preset").val(tintObject.name);
-	extension_settings[extensionName].selectedTint = name;
-	extension_settings[extensionName].currentTintValues = JSON.parse(
-		JSON.stringify(tintObject),
-	);
 	saveSettingsDebounced();
+	applyTint();
+	return channel;
 }
 
 /* UI Functions */
@@ -519,7 +1039,95 @@ function onCharacterTintSepia_Change() {
 	addTint();
 }
 
+function onOverlayTint_Click(event) {
+	const value = Boolean($(event.target).prop("checked"));
+	extension_settings[extensionName].currentTintValues.overlay.enabled = value;
+	saveSettingsDebounced();
+	applyTint();
+}
+
+function onOverlayTintColor_Change(evt) {
+	const value = evt.detail.rgba;
+	extension_settings[extensionName].currentTintValues.overlay.color = value;
+	saveSettingsDebounced();
+	addTint();
+}
+
+function onOverlayTintBlend_Select() {
+	const value = String(this.value);
+	if (!tintOverlayBlendModes.includes(value)) {
+		console.error(`[${extensionName}] Invalid overlay blend mode: ${value}`);
+		return;
+	}
+	extension_settings[extensionName].currentTintValues.overlay.blendMode = value;
+	saveSettingsDebounced();
+	addTint();
+}
+
+function onOverlayTintOpacity_Change() {
+	const value = this.value;
+	if (value < 0 || value > 100) {
+		console.error(`[${extensionName}] Invalid overlay opacity value: ${value}`);
+		return;
+	}
+	extension_settings[extensionName].currentTintValues.overlay.opacity =
+		Number(value);
+	$("#prome-overlay-opacity").val(value);
+	saveSettingsDebounced();
+	addTint();
+}
+
+function onVignetteTint_Click(event) {
+	const value = Boolean($(event.target).prop("checked"));
+	extension_settings[extensionName].currentTintValues.vignette.enabled = value;
+	saveSettingsDebounced();
+	applyTint();
+}
+
+function onVignetteTintStrength_Change() {
+	const value = this.value;
+	if (value < 0 || value > 100) {
+		console.error(
+			`[${extensionName}] Invalid vignette strength value: ${value}`,
+		);
+		return;
+	}
+	extension_settings[extensionName].currentTintValues.vignette.strength =
+		Number(value);
+	$("#prome-vignette-strength").val(value);
+	saveSettingsDebounced();
+	addTint();
+}
+
+function onVignetteTintRadius_Change() {
+	const value = this.value;
+	if (value < 0 || value > 100) {
+		console.error(`[${extensionName}] Invalid vignette radius value: ${value}`);
+		return;
+	}
+	extension_settings[extensionName].currentTintValues.vignette.radius =
+		Number(value);
+	$("#prome-vignette-radius").val(value);
+	saveSettingsDebounced();
+	addTint();
+}
+
+function setupTintLayersHTML(tintValues) {
+	$("#prome-overlay-tint").prop("checked", tintValues.overlay.enabled);
+	$("#prome-overlay-color-picker").attr("color", tintValues.overlay.color);
+	$("#prome-overlay-blend").val(tintValues.overlay.blendMode);
+	$("#prome-overlay-opacity").val(tintValues.overlay.opacity);
+	$("#prome-vignette-tint").prop("checked", tintValues.vignette.enabled);
+	$("#prome-vignette-strength").val(tintValues.vignette.strength);
+	$("#prome-vignette-radius").val(tintValues.vignette.radius);
+}
+
 export function setupTintHTML() {
+	migrateTintValues(extension_settings[extensionName].currentTintValues);
+	for (const tint of extension_settings[extensionName].tintPresets) {
+		migrateTintValues(tint);
+	}
+
 	const preset = extension_settings[extensionName].currentTintValues;
 	$("#prome-tint-enable").prop(
 		"checked",
@@ -545,17 +1153,56 @@ export function setupTintHTML() {
 	$("#prome-character-invert").val(preset.character.invert);
 	$("#prome-character-saturate").val(preset.character.saturate);
 	$("#prome-character-sepia").val(preset.character.sepia);
+	setupTintLayersHTML(preset);
+	$("#prome-tint-transition-duration").val(
+		extension_settings[extensionName].tintTransitionDuration,
+	);
+	$("#prome-tint-transition-duration-counter").val(
+		extension_settings[extensionName].tintTransitionDuration,
+	);
+	$("#prome-tint-transition-easing").val(
+		extension_settings[extensionName].tintTransitionEasing,
+	);
 
+	refreshTintPresetHTML(extension_settings[extensionName].selectedTint);
+	applyTint();
+}
+
+/**
+ * Rebuilds the tint preset dropdown from the saved tint presets
+ * @param {string} [selectedName] - The preset to select (defaults to the current selection)
+ */
+export function refreshTintPresetHTML(
+	selectedName = String($("#prome-tint-preset").val()),
+) {
+	$("#prome-tint-preset").empty();
 	for (const tint of extension_settings[extensionName].tintPresets) {
 		const option = document.createElement("option");
 		option.value = tint.name;
 		option.text = tint.name;
-		option.selected =
-			tint.name === extension_settings[extensionName].selectedTint;
+		option.selected = tint.name === selectedName;
 		$("#prome-tint-preset").append(option);
 	}
+	refreshTintScheduleHTML();
+	refreshTintRulesHTML();
+}
 
-	applyTint();
+/**
+ * Creates a dropdown of the saved tint presets
+ * @param {string} selectedPreset - The preset to select
+ * @param {string} className - The class of the dropdown
+ * @returns {JQuery<HTMLSelectElement>} - The tint preset dropdown
+ */
+export function createTintPresetSelect(selectedPreset, className) {
+	const select = $("<select></select>").addClass(className);
+	for (const tint of extension_settings[extensionName].tintPresets) {
+		const option = document.createElement("option");
+		option.value = tint.name;
+		option.text = tint.name;
+		option.selected = tint.name === selectedPreset;
+		select.append(option);
+	}
+	return select;
 }
 
 export function setupTintJQuery() {
@@ -564,6 +1211,24 @@ export function setupTintJQuery() {
 	$("#prome-tint-share").on("click", onTintShare_Click);
 	$("#prome-tint-save").on("click", onTintPreset_Save);
 	$("#prome-tint-delete").on("click", onTintPreset_Delete);
+	$("#prome-tint-bind-chat").on("click", onTintBindChat_Click);
+	$("#prome-tint-bind-character").on("click", onTintBindCharacter_Click);
+	$("#prome-tint-transition-duration").on(
+		"input",
+		onTintTransitionDuration_Change,
+	);
+	$("#prome-tint-transition-duration-counter").on(
+		"input",
+		onTintTransitionDuration_Change,
+	);
+	$("#prome-tint-transition-duration-restore").on(
+		"click",
+		resetTintTransitionDuration,
+	);
+	$("#prome-tint-transition-easing").on(
+		"change",
+		onTintTransitionEasing_Select,
+	);
 	$("#prome-world-tint").on("click", onWorldTint_Click);
 	$("#prome-character-tint").on("click", onCharacterTint_Click);
 	$("#prome-world-blur").on("input", onWorldTintBlur_Change);
@@ -585,4 +1250,11 @@ export function setupTintJQuery() {
 	$("#prome-character-invert").on("input", onCharacterTintInvert_Change);
 	$("#prome-character-saturate").on("input", onCharacterTintSaturate_Change);
 	$("#prome-character-sepia").on("input", onCharacterTintSepia_Change);
+	$("#prome-overlay-tint").on("click", onOverlayTint_Click);
+	$("#prome-overlay-color-picker").on("change", onOverlayTintColor_Change);
+	$("#prome-overlay-blend").on("change", onOverlayTintBlend_Select);
+	$("#prome-overlay-opacity").on("input", onOverlayTintOpacity_Change);
+	$("#prome-vignette-tint").on("click", onVignetteTint_Click);
+	$("#prome-vignette-strength").on("input", onVignetteTintStrength_Change);
+	$("#prome-vignette-radius").on("input", onVignetteTintRadius_Change);
 }
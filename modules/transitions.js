@@ -0,0 +1,304 @@
+import { defaultSettings, extensionName } from "../constants.js";
+import { extension_settings } from "../../../../extensions.js";
+import { saveSettingsDebounced } from "../../../../../script.js";
+import { isSkippingEffects } from "./skip.js";
+
+export const sceneTransitionTypes = [
+	"crossfade",
+	"fade-black",
+	"fade-white",
+	"wipe",
+];
+
+// Manual scene cuts have no previous background to crossfade from
+export const sceneCutTypes = ["fade-black", "fade-white", "wipe"];
+
+// Longest transition (in seconds) played when the user prefers reduced motion
+const reducedMotionDuration = 0.3;
+
+let sceneTransitionAnimations = [];
+let lastBackgroundImage = null;
+let sceneCutPlaying = false;
+
+/* Helper Functions */
+function prefersReducedMotion() {
+	return window.matchMedia("(prefers-reduced-motion: reduce)").matches;
+}
+
+function getFadeColor(type) {
+	return type === "fade-white" ? "#fff" : "#000";
+}
+
+/**
+ * Returns the background currently shown on the stage
+ * @returns {string} - The CSS background-image of #bg1
+ */
+export function getBackgroundImage() {
+	return $("#bg1").css("background-image") ?? "none";
+}
+
+function hideSceneTransitionLayers() {
+	$("#prome-scene-transition-image")
+		.hide()
+		.css({ backgroundImage: "", opacity: "", clipPath: "" });
+	$("#prome-scene-transition-color")
+		.hide()
+		.removeClass("prome-scene-cut")
+		.css({ backgroundColor: "", opacity: "", clipPath: "" });
+}
+
+/**
+ * Stops the current scene transition and hides its layers
+ */
+export function stopSceneTransition() {
+	for (const animation of sceneTransitionAnimations) animation.cancel();
+	sceneTransitionAnimations = [];
+	sceneCutPlaying = false;
+	hideSceneTransitionLayers();
+}
+
+/**
+ * Plays the given layer animations and hides the layers once they're done
+ * @param {Animation[]} animations - The layer animations
+ * @returns {Promise<void>} - Resolves when the transition finishes or is stopped
+ */
+async function playSceneTransitionAnimations(animations) {
+	sceneTransitionAnimations = animations;
+	try {
+		await Promise.all(animations.map((animation) => animation.finished));
+	} catch {
+		// Cancelled by a newer transition
+		return;
+	}
+	sceneTransitionAnimations = [];
+	sceneCutPlaying = false;
+	hideSceneTransitionLayers();
+}
+
+/* Transition Functions */
+/**
+ * Transitions from the previous background to the one now shown on #bg1
+ * @param {string} previousImage - The previous CSS background-image
+ * @param {string} type - The transition type (see sceneTransitionTypes)
+ * @param {number} duration - The transition duration in seconds
+ * @returns {Promise<void>} - Resolves when the transition finishes
+ */
+export async function playBackgroundTransition(previousImage, type, duration) {
+	stopSceneTransition();
+	if (duration <= 0) return;
+
+	// Wipes and flashes are replaced by a short crossfade
+	if (prefersReducedMotion()) {
+		type = "crossfade";
+		duration = Math.min(duration, reducedMotionDuration);
+	}
+
+	const bgStyle = window.getComputedStyle(document.getElementById("bg1"));
+	const imageLayer = $("#prome-scene-transition-image")
+		.css({
+			backgroundImage: previousImage,
+			backgroundSize: bgStyle.backgroundSize,
+			backgroundPosition: bgStyle.backgroundPosition,
+			backgroundRepeat: bgStyle.backgroundRepeat,
+		})
+		.show()[0];
+	const colorLayer = $("#prome-scene-transition-color")[0];
+	const timing = { duration: duration * 1000, easing: "ease-in-out" };
+
+	const animations = [];
+	switch (type) {
+		case "fade-black":
+		case "fade-white":
+			$(colorLayer).css("background-color", getFadeColor(type)).show();
+			animations.push(
+				colorLayer.animate(
+					[{ opacity: 0 }, { opacity: 1, offset: 0.5 }, { opacity: 0 }],
+					timing,
+				),
+				// Swap to the new background while the screen is covered
+				imageLayer.animate(
+					[
+						{ opacity: 1 },
+						{ opacity: 1, offset: 0.5 },
+						{ opacity: 0, offset: 0.5 },
+						{ opacity: 0 },
+					],
+					timing,
+				),
+			);
+			break;
+		case "wipe":
+			animations.push(
+				imageLayer.animate(
+					[{ clipPath: "inset(0 0 0 0)" }, { clipPath: "inset(0 0 0 100%)" }],
+					timing,
+				),
+			);
+			break;
+		default:
+			animations.push(
+				imageLayer.animate([{ opacity: 1 }, { opacity: 0 }], timing),
+			);
+	}
+
+	await playSceneTransitionAnimations(animations);
+}
+
+/**
+ * Plays a scene cut over the whole stage (background and sprites)
+ * @param {string} type - The scene cut type (see sceneCutTypes)
+ * @param {number} duration - The scene cut duration in seconds
+ * @returns {Promise<void>} - Resolves when the scene cut finishes
+ */
+export async function playSceneCut(type, duration) {
+	stopSceneTransition();
+	if (duration <= 0 || isSkippingEffects()) return;
+	// The background change gets a short crossfade instead
+	if (prefersReducedMotion()) return;
+
+	sceneCutPlaying = true;
+	const colorLayer = $("#prome-scene-transition-color")
+		.addClass("prome-scene-cut")
+		.css("background-color", getFadeColor(type))
+		.show()[0];
+	const timing = { duration: duration * 1000, easing: "ease-in-out" };
+
+	const keyframes =
+		type === "wipe"
+			? [
+					{ clipPath: "inset(0 100% 0 0)" },
+					{ clipPath: "inset(0 0 0 0)", offset: 0.5 },
+					{ clipPath: "inset(0 0 0 100%)" },
+				]
+			: [{ opacity: 0 }, { opacity: 1, offset: 0.5 }, { opacity: 0 }];
+
+	await playSceneTransitionAnimations([colorLayer.animate(keyframes, timing)]);
+}
+
+function onBackground_Change() {
+	const previousImage = lastBackgroundImage;
+	const currentImage = getBackgroundImage();
+	lastBackgroundImage = currentImage;
+
+	if (!extension_settings[extensionName].sceneTransitions) return;
+	if (isSkippingEffects()) return;
+	// The scene cut already hides the swap
+	if (sceneCutPlaying) return;
+	if (!previousImage || previousImage === "none") return;
+	if (previousImage === currentImage) return;
+
+	playBackgroundTransition(
+		previousImage,
+		extension_settings[extensionName].sceneTransitionType,
+		Number(extension_settings[extensionName].sceneTransitionDuration),
+	);
+}
+
+/**
+ * Watches #bg1 for background swaps
+ */
+export function initSceneTransitions() {
+	const bg1 = document.getElementById("bg1");
+	if (!bg1) {
+		console.debug(`[${extensionName}] #bg1 not found, skipping transitions.`);
+		return;
+	}
+
+	lastBackgroundImage = getBackgroundImage();
+	const backgroundObserver = new MutationObserver(onBackground_Change);
+	backgroundObserver.observe(bg1, {
+		attributes: true,
+		attributeFilter: ["style", "class"],
+	});
+}
+
+/* Apply Functions */
+export function applySceneTransitions() {
+	console.debug(
+		`[${extensionName}] Scene Transitions?: ${extension_settings[extensionName].sceneTransitions}`,
+	);
+
+	if (!extension_settings[extensionName].sceneTransitions) {
+		stopSceneTransition();
+	}
+}
+
+/* Action Functions */
+function onSceneTransitions_Click(event) {
+	const value = Boolean($(event.target).prop("checked"));
+	extension_settings[extensionName].sceneTransitions = value;
+	saveSettingsDebounced();
+	applySceneTransitions();
+}
+
+function onSceneTransitionType_Select() {
+	const value = String(this.value);
+	if (!sceneTransitionTypes.includes(value)) {
+		console.error(
+			`[${extensionName}] Invalid scene transition type value: ${value}`,
+		);
+		return;
+	}
+	extension_settings[extensionName].sceneTransitionType = value;
+	saveSettingsDebounced();
+}
+
+function onSceneTransitionDuration_Change() {
+	const value = this.value;
+	if (value < 0 || value > 10) {
+		console.error(
+			`[${extensionName}] Invalid scene transition duration value: ${value}`,
+		);
+		return;
+	}
+	extension_settings[extensionName].sceneTransitionDuration = Number(value);
+	$("#prome-scene-transition-duration").val(value);
+	$("#prome-scene-transition-duration-counter").val(value);
+	saveSettingsDebounced();
+}
+
+/* Reset Functions */
+function resetSceneTransitionDuration() {
+	extension_settings[extensionName].sceneTransitionDuration =
+		defaultSettings.sceneTransitionDuration;
+	$("#prome-scene-transition-duration")
+		.val(defaultSettings.sceneTransitionDuration)
+		.trigger("input");
+	$("#prome-scene-transition-duration-counter").val(
+		defaultSettings.sceneTransitionDuration,
+	);
+	saveSettingsDebounced();
+}
+
+export function setupSceneTransitionHTML() {
+	$("#prome-scene-transitions").prop(
+		"checked",
+		extension_settings[extensionName].sceneTransitions,
+	);
+	$("#prome-scene-transition-type").val(
+		extension_settings[extensionName].sceneTransitionType,
+	);
+	$("#prome-scene-transition-duration").val(
+		extension_settings[extensionName].sceneTransitionDuration,
+	);
+	$("#prome-scene-transition-duration-counter").val(
+		extension_settings[extensionName].sceneTransitionDuration,
+	);
+}
+
+export function setupSceneTransitionJQuery() {
+	$("#prome-scene-transitions").on("click", onSceneTransitions_Click);
+	$("#prome-scene-transition-type").on("change", onSceneTransitionType_Select);
+	$("#prome-scene-transition-duration").on(
+		"input",
+		onSceneTransitionDuration_Change,
+	);
+	$("#prome-scene-transition-duration-counter").on(
+		"input",
+		onSceneTransitionDuration_Change,
+	);
+	$("#prome-scene-transition-duration-restore").on(
+		"click",
+		resetSceneTransitionDuration,
+	);
+}
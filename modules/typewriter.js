@@ -0,0 +1,319 @@
+import { defaultSettings, extensionName } from "../constants.js";
+import { extension_settings, getContext } from "../../../../extensions.js";
+import { saveSettingsDebounced } from "../../../../../script.js";
+import { isSkippingMessage, updateLastReadMessage } from "./skip.js";
+import { scheduleAutoRead } from "./auto-read.js";
+
+// Characters that hold the reveal for the full or half punctuation pause
+const sentencePunctuation = /[.!?…。！？]/;
+const clausePunctuation = /[,;:—、，]/;
+
+let typewriterState = null;
+
+/* Helper Functions */
+function isTypewriterActive() {
+	const settings = extension_settings[extensionName];
+	return (
+		settings.enableVN_UI && settings.showOnlyLastMessage && settings.typewriter
+	);
+}
+
+// Streamed messages were already revealed as they came in
+function isStreamedMessage(messageId) {
+	const streamingProcessor = getContext().streamingProcessor;
+	return Boolean(streamingProcessor) && streamingProcessor.messageId === messageId;
+}
+
+/**
+ * Collects the visible text nodes of a message so markup is kept while typing
+ * @param {HTMLElement} element - The .mes_text element
+ * @returns {{node: Text, characters: string[], hidden?: HTMLSpanElement}[]} - The text nodes and their characters
+ */
+function collectTextNodes(element) {
+	const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT, {
+		acceptNode: (node) =>
+			node.parentElement?.closest("style, script")
+				? NodeFilter.FILTER_REJECT
+				: NodeFilter.FILTER_ACCEPT,
+	});
+
+	const textNodes = [];
+	while (walker.nextNode()) {
+		const node = walker.currentNode;
+		if (node.nodeValue.length === 0) continue;
+		textNodes.push({ node, characters: Array.from(node.nodeValue) });
+	}
+	return textNodes;
+}
+
+function getCharacterDelay(character) {
+	const settings = extension_settings[extensionName];
+	const delay = 1000 / Number(settings.typewriterSpeed);
+	const pause = Number(settings.typewriterPunctuationPause);
+
+	if (sentencePunctuation.test(character)) return delay + pause;
+	if (clausePunctuation.test(character)) return delay + pause / 2;
+	return delay;
+}
+
+/* Typewriter Functions */
+function typeNextCharacter() {
+	const state = typewriterState;
+	if (!state) return;
+
+	const textNode = state.textNodes[state.nodeIndex];
+	const character = textNode.characters[state.characterIndex];
+	textNode.node.nodeValue += character;
+	textNode.hidden.firstChild.deleteData(0, character.length);
+	state.characterIndex++;
+
+	if (state.characterIndex >= textNode.characters.length) {
+		state.nodeIndex++;
+		state.characterIndex = 0;
+	}
+	if (state.nodeIndex >= state.textNodes.length) {
+		finishTypewriter();
+		return;
+	}
+
+	// Wait for the next page before typing past the end of this one
+	if (isPastPageEnd(textNode.node, character)) {
+		state.paused = true;
+		scheduleAutoRead();
+		return;
+	}
+
+	// Whitespace doesn't take a beat of its own
+	const delay = /\s/.test(character) ? 0 : getCharacterDelay(character);
+	state.timer = setTimeout(typeNextCharacter, delay);
+}
+
+/**
+ * Checks whether the last typed character is cut off by the current message page
+ * @param {Text} node - The text node being typed
+ * @param {string} character - The character that was just typed
+ * @returns {boolean} - Whether the character is below the visible page
+ */
+function isPastPageEnd(node, character) {
+	const messageText = typewriterState.message.find(".mes_text")[0];
+	if (!messageText?.classList.contains("prome-paged")) return false;
+
+	const range = document.createRange();
+	range.setStart(node, node.nodeValue.length - character.length);
+	range.setEnd(node, node.nodeValue.length);
+	const characterRect = range.getBoundingClientRect();
+	return characterRect.bottom > messageText.getBoundingClientRect().bottom;
+}
+
+/**
+ * Continues typing after the typewriter reached the end of a message page
+ */
+export function resumeTypewriter() {
+	const state = typewriterState;
+	if (!state?.paused) return;
+
+	state.paused = false;
+	typeNextCharacter();
+}
+
+/**
+ * Shows the rest of the message being typed out
+ */
+export function finishTypewriter() {
+	const state = typewriterState;
+	if (!state) return;
+
+	clearTimeout(state.timer);
+	for (const { node, hidden, characters } of state.textNodes) {
+		node.nodeValue = characters.join("");
+		hidden.remove();
+	}
+	state.message.removeClass("prome-typewriter");
+	typewriterState = null;
+
+	// Newer messages are marked once they're shown, and read from then on
+	if (state.message.hasClass("last_mes")) {
+		updateLastReadMessage();
+		scheduleAutoRead();
+	}
+}
+
+/**
+ * Types out the last message character by character in Traditional VN Mode
+ * @param {number} messageId - The index of the rendered message
+ */
+export function startTypewriter(messageId) {
+	finishTypewriter();
+	if (!isTypewriterActive()) return;
+
+	const message = $("#chat .last_mes");
+	if (Number(message.attr("mesid")) !== Number(messageId)) return;
+	if (isStreamedMessage(Number(messageId))) return;
+	if (isSkippingMessage(messageId)) return;
+
+	const textNodes = collectTextNodes(message.find(".mes_text")[0]);
+	if (textNodes.length === 0) return;
+
+	// The untyped text stays in place (but invisible) so lines don't jump around
+	for (const textNode of textNodes) {
+		textNode.hidden = document.createElement("span");
+		textNode.hidden.className = "prome-typewriter-hidden";
+		textNode.hidden.textContent = textNode.node.nodeValue;
+		textNode.node.after(textNode.hidden);
+		textNode.node.nodeValue = "";
+	}
+	message.addClass("prome-typewriter");
+	typewriterState = {
+		message,
+		textNodes,
+		nodeIndex: 0,
+		characterIndex: 0,
+		paused: false,
+	};
+	typeNextCharacter();
+}
+
+/**
+ * Returns whether a message is being typed out (and not waiting for a page turn)
+ * @returns {boolean} - Whether the typewriter is typing
+ */
+export function isTypewriterTyping() {
+	return Boolean(typewriterState) && !typewriterState.paused;
+}
+
+/**
+ * Returns whether a message is being typed out (including while waiting for a page turn)
+ * @returns {boolean} - Whether the typewriter is running
+ */
+export function isTypewriterRunning() {
+	return Boolean(typewriterState);
+}
+
+/* Apply Functions */
+export function applyTypewriter() {
+	console.debug(
+		`[${extensionName}] Typewriter?: ${extension_settings[extensionName].typewriter}`,
+	);
+
+	// Stop typing once the mode is off or a newer message takes over
+	if (!isTypewriterActive() || !typewriterState?.message.hasClass("last_mes")) {
+		finishTypewriter();
+	}
+}
+
+/* Action Functions */
+function onTypewriter_Click(event) {
+	const value = Boolean($(event.target).prop("checked"));
+	extension_settings[extensionName].typewriter = value;
+	saveSettingsDebounced();
+	applyTypewriter();
+}
+
+function onTypewriterSpeed_Change() {
+	const value = this.value;
+	if (value < 5 || value > 200) {
+		console.error(`[${extensionName}] Invalid typewriter speed value: ${value}`);
+		return;
+	}
+	extension_settings[extensionName].typewriterSpeed = Number(value);
+	$("#prome-typewriter-speed").val(value);
+	$("#prome-typewriter-speed-counter").val(value);
+	saveSettingsDebounced();
+}
+
+function onTypewriterPunctuationPause_Change() {
+	const value = this.value;
+	if (value < 0 || value > 2000) {
+		console.error(
+			`[${extensionName}] Invalid typewriter punctuation pause value: ${value}`,
+		);
+		return;
+	}
+	extension_settings[extensionName].typewriterPunctuationPause = Number(value);
+	$("#prome-typewriter-punctuation-pause").val(value);
+	$("#prome-typewriter-punctuation-pause-counter").val(value);
+	saveSettingsDebounced();
+}
+
+// Keys that show the rest of the message, everything else passes through
+const skipKeys = ["Enter", " ", "Escape"];
+
+// Clicking the message or pressing a skip key skips to the end of the message
+function onTypewriter_Skip(event) {
+	// A full page waits for the page to be turned instead
+	if (!typewriterState || typewriterState.paused) return;
+
+	finishTypewriter();
+	// Paging skips handled events, so the same click doesn't also turn the page
+	event.preventDefault();
+}
+
+function onTypewriter_Keydown(event) {
+	if (!skipKeys.includes(event.key)) return;
+
+	// Don't skip while typing or on shortcuts
+	const target = event.target;
+	if (target.isContentEditable || $(target).is("input, textarea, select")) {
+		return;
+	}
+	if (event.ctrlKey || event.altKey || event.metaKey) return;
+
+	onTypewriter_Skip(event);
+}
+
+/* Reset Functions */
+function resetTypewriterSpeed() {
+	extension_settings[extensionName].typewriterSpeed =
+		defaultSettings.typewriterSpeed;
+	$("#prome-typewriter-speed")
+		.val(defaultSettings.typewriterSpeed)
+		.trigger("input");
+	$("#prome-typewriter-speed-counter").val(defaultSettings.typewriterSpeed);
+	saveSettingsDebounced();
+}
+
+function resetTypewriterPunctuationPause() {
+	extension_settings[extensionName].typewriterPunctuationPause =
+		defaultSettings.typewriterPunctuationPause;
+	$("#prome-typewriter-punctuation-pause")
+		.val(defaultSettings.typewriterPunctuationPause)
+		.trigger("input");
+	$("#prome-typewriter-punctuation-pause-counter").val(
+		defaultSettings.typewriterPunctuationPause,
+	);
+	saveSettingsDebounced();
+}
+
+export function setupTypewriterHTML() {
+	const settings = extension_settings[extensionName];
+	$("#prome-typewriter").prop("checked", settings.typewriter);
+	$("#prome-typewriter-speed").val(settings.typewriterSpeed);
+	$("#prome-typewriter-speed-counter").val(settings.typewriterSpeed);
+	$("#prome-typewriter-punctuation-pause").val(
+		settings.typewriterPunctuationPause,
+	);
+	$("#prome-typewriter-punctuation-pause-counter").val(
+		settings.typewriterPunctuationPause,
+	);
+}
+
+export function setupTypewriterJQuery() {
+	$("#prome-typewriter").on("click", onTypewriter_Click);
+	$("#prome-typewriter-speed").on("input", onTypewriterSpeed_Change);
+	$("#prome-typewriter-speed-counter").on("input", onTypewriterSpeed_Change);
+	$("#prome-typewriter-punctuation-pause").on(
+		"input",
+		onTypewriterPunctuationPause_Change,
+	);
+	$("#prome-typewriter-punctuation-pause-counter").on(
+		"input",
+		onTypewriterPunctuationPause_Change,
+	);
+	$("#prome-typewriter-speed-restore").on("click", resetTypewriterSpeed);
+	$("#prome-typewriter-punctuation-pause-restore").on(
+		"click",
+		resetTypewriterPunctuationPause,
+	);
+	$("#chat").on("click", ".last_mes", onTypewriter_Skip);
+	$(document).on("keydown", onTypewriter_Keydown);
+}
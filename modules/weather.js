@@ -0,0 +1,470 @@
+import { defaultSettings, extensionName } from "../constants.js";
+import { extension_settings } from "../../../../extensions.js";
+import { saveSettingsDebounced } from "../../../../../script.js";
+import { power_user } from "../../../../power-user.js";
+
+const reducedMotionQuery = window.matchMedia("(prefers-reduced-motion: reduce)");
+
+/* Weather Types */
+function randomBetween(min, max) {
+	return min + Math.random() * (max - min);
+}
+
+// Falling particles (rain, snow, petals) share the same spawn logic
+function spawnFalling(particle, width, height, initial) {
+	particle.x = randomBetween(-width * 0.25, width * 1.25);
+	particle.y = initial ? randomBetween(0, height) : randomBetween(-50, -10);
+}
+
+/**
+ * Each weather type defines how many particles it uses at full density,
+ * how a particle is created/moved and how it's drawn.
+ * Speeds are in pixels per second at the default speed.
+ */
+const weatherTypes = {
+	rain: {
+		maxParticles: 400,
+		create(particle, width, height, initial) {
+			spawnFalling(particle, width, height, initial);
+			particle.speed = randomBetween(900, 1300);
+			particle.length = randomBetween(10, 22);
+		},
+		update(particle, delta, wind) {
+			particle.y += particle.speed * delta;
+			particle.x += particle.speed * wind * delta;
+		},
+		draw(ctx, particle, wind) {
+			ctx.lineWidth = 1;
+			ctx.beginPath();
+			ctx.moveTo(particle.x, particle.y);
+			ctx.lineTo(
+				particle.x - particle.length * wind,
+				particle.y - particle.length,
+			);
+			ctx.stroke();
+		},
+	},
+	snow: {
+		maxParticles: 250,
+		create(particle, width, height, initial) {
+			spawnFalling(particle, width, height, initial);
+			particle.speed = randomBetween(40, 100);
+			particle.size = randomBetween(1.5, 4);
+			particle.phase = randomBetween(0, Math.PI * 2);
+		},
+		update(particle, delta, wind) {
+			particle.phase += delta;
+			particle.y += particle.speed * delta;
+			particle.x +=
+				(particle.speed * wind + Math.sin(particle.phase) * 20) * delta;
+		},
+		draw(ctx, particle) {
+			ctx.beginPath();
+			ctx.arc(particle.x, particle.y, particle.size, 0, Math.PI * 2);
+			ctx.fill();
+		},
+	},
+	petals: {
+		maxParticles: 80,
+		create(particle, width, height, initial) {
+			spawnFalling(particle, width, height, initial);
+			particle.speed = randomBetween(40, 90);
+			particle.size = randomBetween(4, 7);
+			particle.rotation = randomBetween(0, Math.PI * 2);
+			particle.spin = randomBetween(-2, 2);
+			particle.phase = randomBetween(0, Math.PI * 2);
+		},
+		update(particle, delta, wind) {
+			particle.phase += delta;
+			particle.rotation += particle.spin * delta;
+			particle.y += particle.speed * delta;
+			particle.x +=
+				(particle.speed * wind + Math.sin(particle.phase) * 30) * delta;
+		},
+		draw(ctx, particle) {
+			ctx.beginPath();
+			ctx.ellipse(
+				particle.x,
+				particle.y,
+				particle.size,
+				particle.size / 2,
+				particle.rotation,
+				0,
+				Math.PI * 2,
+			);
+			ctx.fill();
+		},
+	},
+	fog: {
+		maxParticles: 24,
+		create(particle, width, height, initial) {
+			particle.size = randomBetween(150, 400);
+			particle.x = initial
+				? randomBetween(0, width)
+				: randomBetween(-particle.size, 0);
+			particle.y = randomBetween(height * 0.2, height);
+			particle.speed = randomBetween(10, 30);
+			particle.opacity = randomBetween(0.05, 0.15);
+		},
+		update(particle, delta, wind) {
+			particle.x += particle.speed * (1 + wind) * delta;
+		},
+		draw(ctx, particle) {
+			const gradient = ctx.createRadialGradient(
+				particle.x,
+				particle.y,
+				0,
+				particle.x,
+				particle.y,
+				particle.size,
+			);
+			gradient.addColorStop(0, ctx.fillStyle);
+			gradient.addColorStop(1, "transparent");
+
+			ctx.save();
+			ctx.globalAlpha *= particle.opacity;
+			ctx.fillStyle = gradient;
+			ctx.fillRect(
+				particle.x - particle.size,
+				particle.y - particle.size,
+				particle.size * 2,
+				particle.size * 2,
+			);
+			ctx.restore();
+		},
+		isOffscreen(particle, width) {
+			return particle.x - particle.size > width;
+		},
+	},
+	embers: {
+		maxParticles: 120,
+		create(particle, width, height, initial) {
+			particle.x = randomBetween(0, width);
+			particle.y = initial
+				? randomBetween(0, height)
+				: randomBetween(height + 10, height + 50);
+			particle.speed = randomBetween(30, 80);
+			particle.size = randomBetween(1, 3);
+			particle.phase = randomBetween(0, Math.PI * 2);
+		},
+		update(particle, delta, wind) {
+			particle.phase += delta * 4;
+			particle.y -= particle.speed * delta;
+			particle.x +=
+				(particle.speed * wind + Math.sin(particle.phase / 4) * 15) * delta;
+		},
+		draw(ctx, particle) {
+			ctx.save();
+			// Flicker
+			ctx.globalAlpha *= 0.6 + Math.sin(particle.phase) * 0.4;
+			ctx.beginPath();
+			ctx.arc(particle.x, particle.y, particle.size, 0, Math.PI * 2);
+			ctx.fill();
+			ctx.restore();
+		},
+		isOffscreen(particle) {
+			return particle.y < -50;
+		},
+	},
+};
+
+export const weatherTypeNames = Object.keys(weatherTypes);
+
+/* Weather Layer */
+let weatherFrame = null;
+let lastFrameTime = null;
+let weatherParticles = [];
+let weatherParticleType = null;
+
+/**
+ * Returns whether the weather should be drawn: it's enabled, VN mode is on and
+ * the system doesn't ask for reduced motion
+ * @returns {boolean} - Whether the weather is shown
+ */
+function isWeatherActive() {
+	return (
+		Boolean(extension_settings[extensionName].weather) &&
+		Boolean(power_user.waifuMode) &&
+		!reducedMotionQuery.matches
+	);
+}
+
+function getWeatherCanvas() {
+	return /** @type {HTMLCanvasElement|null} */ (
+		document.getElementById("prome-weather-layer")
+	);
+}
+
+function resizeWeatherCanvas() {
+	const canvas = getWeatherCanvas();
+	if (!canvas) return;
+	canvas.width = window.innerWidth;
+	canvas.height = window.innerHeight;
+}
+
+function isParticleOffscreen(type, particle, width, height) {
+	if (type.isOffscreen) return type.isOffscreen(particle, width, height);
+	return (
+		particle.y > height + 50 ||
+		particle.x < -width * 0.5 ||
+		particle.x > width * 1.5
+	);
+}
+
+// Adds/removes particles to match the density and restarts them on a type change
+function syncWeatherParticles(width, height) {
+	const settings = extension_settings[extensionName];
+	const type = weatherTypes[settings.weatherType];
+
+	if (weatherParticleType !== settings.weatherType) {
+		weatherParticles = [];
+		weatherParticleType = settings.weatherType;
+	}
+
+	const count = Math.round((type.maxParticles * settings.weatherDensity) / 100);
+	while (weatherParticles.length < count) {
+		const particle = {};
+		type.create(particle, width, height, true);
+		weatherParticles.push(particle);
+	}
+	weatherParticles.length = count;
+}
+
+function drawWeather(time) {
+	const canvas = getWeatherCanvas();
+	if (!canvas) return;
+
+	const settings = extension_settings[extensionName];
+	const type = weatherTypes[settings.weatherType];
+	const ctx = canvas.getContext("2d");
+	const { width, height } = canvas;
+
+	// Cap the delta so particles don't jump after the tab was in the background
+	const delta =
+		lastFrameTime === null ? 0 : Math.min((time - lastFrameTime) / 1000, 0.1);
+	lastFrameTime = time;
+
+	const speed = settings.weatherSpeed / defaultSettings.weatherSpeed;
+	const wind = Math.tan((settings.weatherWind * Math.PI) / 180);
+
+	syncWeatherParticles(width, height);
+
+	ctx.clearRect(0, 0, width, height);
+	ctx.fillStyle = settings.weatherColor;
+	ctx.strokeStyle = settings.weatherColor;
+	ctx.globalAlpha = 1;
+
+	for (const particle of weatherParticles) {
+		type.update(particle, delta * speed, wind);
+		if (isParticleOffscreen(type, particle, width, height)) {
+			type.create(particle, width, height, false);
+		}
+		type.draw(ctx, particle, wind);
+	}
+
+	weatherFrame = requestAnimationFrame(drawWeather);
+}
+
+function startWeather() {
+	if (weatherFrame !== null) return;
+	resizeWeatherCanvas();
+	lastFrameTime = null;
+	weatherFrame = requestAnimationFrame(drawWeather);
+}
+
+function stopWeather() {
+	if (weatherFrame !== null) {
+		cancelAnimationFrame(weatherFrame);
+		weatherFrame = null;
+	}
+	weatherParticles = [];
+	weatherParticleType = null;
+
+	const canvas = getWeatherCanvas();
+	canvas?.getContext("2d").clearRect(0, 0, canvas.width, canvas.height);
+}
+
+/* Apply Functions */
+export function applyWeather() {
+	if (extension_settings[extensionName].weather === (null || undefined)) {
+		console.debug(`[${extensionName}] weather returned null or undefined.`);
+	}
+
+	console.debug(
+		`[${extensionName}] Weather?: ${extension_settings[extensionName].weather} (${extension_settings[extensionName].weatherType})`,
+	);
+
+	$("body").toggleClass("weatherEffects", isWeatherActive());
+
+	if (isWeatherActive()) {
+		startWeather();
+	} else {
+		stopWeather();
+	}
+}
+
+/**
+ * Returns the current weather settings (for bundling into tint presets)
+ * @returns {{enabled: boolean, type: string, density: number, speed: number, wind: number, color: string}} - The weather settings
+ */
+export function getWeatherSettings() {
+	const settings = extension_settings[extensionName];
+	return {
+		enabled: Boolean(settings.weather),
+		type: settings.weatherType,
+		density: Number(settings.weatherDensity),
+		speed: Number(settings.weatherSpeed),
+		wind: Number(settings.weatherWind),
+		color: settings.weatherColor,
+	};
+}
+
+/**
+ * Changes the weather. Settings that are left out keep their current value.
+ * @param {object} weather - The weather settings to change (see getWeatherSettings)
+ */
+export function setWeatherSettings(weather) {
+	const settings = extension_settings[extensionName];
+	if (weather.enabled !== undefined) settings.weather = weather.enabled;
+	if (weather.type !== undefined) settings.weatherType = weather.type;
+	if (weather.density !== undefined) settings.weatherDensity = weather.density;
+	if (weather.speed !== undefined) settings.weatherSpeed = weather.speed;
+	if (weather.wind !== undefined) settings.weatherWind = weather.wind;
+	if (weather.color !== undefined) settings.weatherColor = weather.color;
+
+	saveSettingsDebounced();
+	setupWeatherHTML();
+	applyWeather();
+}
+
+/* Action Functions */
+function onWeather_Click(event) {
+	const value = Boolean($(event.target).prop("checked"));
+	extension_settings[extensionName].weather = value;
+	saveSettingsDebounced();
+	applyWeather();
+}
+
+function onWeatherType_Select() {
+	const value = String(this.value);
+	if (!weatherTypeNames.includes(value)) {
+		console.error(`[${extensionName}] Invalid weather type value: ${value}`);
+		return;
+	}
+	extension_settings[extensionName].weatherType = value;
+	saveSettingsDebounced();
+}
+
+function onWeatherDensity_Change() {
+	const value = this.value;
+	if (value < 0 || value > 100) {
+		console.error(`[${extensionName}] Invalid weather density value: ${value}`);
+		return;
+	}
+	extension_settings[extensionName].weatherDensity = Number(value);
+	$("#prome-weather-density").val(value);
+	$("#prome-weather-density-counter").val(value);
+	saveSettingsDebounced();
+}
+
+function onWeatherSpeed_Change() {
+	const value = this.value;
+	if (value < 1 || value > 200) {
+		console.error(`[${extensionName}] Invalid weather speed value: ${value}`);
+		return;
+	}
+	extension_settings[extensionName].weatherSpeed = Number(value);
+	$("#prome-weather-speed").val(value);
+	$("#prome-weather-speed-counter").val(value);
+	saveSettingsDebounced();
+}
+
+function onWeatherWind_Change() {
+	const value = this.value;
+	if (value < -60 || value > 60) {
+		console.error(`[${extensionName}] Invalid weather wind value: ${value}`);
+		return;
+	}
+	extension_settings[extensionName].weatherWind = Number(value);
+	$("#prome-weather-wind").val(value);
+	$("#prome-weather-wind-counter").val(value);
+	saveSettingsDebounced();
+}
+
+function onWeatherColor_Change(evt) {
+	const value = evt.detail.rgba;
+	extension_settings[extensionName].weatherColor = value;
+	saveSettingsDebounced();
+}
+
+function onTintPresetWeather_Click(event) {
+	const value = Boolean($(event.target).prop("checked"));
+	extension_settings[extensionName].tintPresetWeather = value;
+	saveSettingsDebounced();
+}
+
+/* Reset Functions */
+function resetWeatherDensity() {
+	extension_settings[extensionName].weatherDensity =
+		defaultSettings.weatherDensity;
+	$("#prome-weather-density")
+		.val(defaultSettings.weatherDensity)
+		.trigger("input");
+	$("#prome-weather-density-counter").val(defaultSettings.weatherDensity);
+	saveSettingsDebounced();
+}
+
+function resetWeatherSpeed() {
+	extension_settings[extensionName].weatherSpeed = defaultSettings.weatherSpeed;
+	$("#prome-weather-speed").val(defaultSettings.weatherSpeed).trigger("input");
+	$("#prome-weather-speed-counter").val(defaultSettings.weatherSpeed);
+	saveSettingsDebounced();
+}
+
+function resetWeatherWind() {
+	extension_settings[extensionName].weatherWind = defaultSettings.weatherWind;
+	$("#prome-weather-wind").val(defaultSettings.weatherWind).trigger("input");
+	$("#prome-weather-wind-counter").val(defaultSettings.weatherWind);
+	saveSettingsDebounced();
+}
+
+function resetWeatherColor() {
+	extension_settings[extensionName].weatherColor = defaultSettings.weatherColor;
+	$("#prome-weather-color-picker").attr("color", defaultSettings.weatherColor);
+	saveSettingsDebounced();
+}
+
+export function setupWeatherHTML() {
+	const settings = extension_settings[extensionName];
+	$("#prome-weather").prop("checked", settings.weather);
+	$("#prome-weather-type").val(settings.weatherType);
+	$("#prome-weather-density").val(settings.weatherDensity);
+	$("#prome-weather-density-counter").val(settings.weatherDensity);
+	$("#prome-weather-speed").val(settings.weatherSpeed);
+	$("#prome-weather-speed-counter").val(settings.weatherSpeed);
+	$("#prome-weather-wind").val(settings.weatherWind);
+	$("#prome-weather-wind-counter").val(settings.weatherWind);
+	$("#prome-weather-color-picker").attr("color", settings.weatherColor);
+	$("#prome-tint-preset-weather").prop("checked", settings.tintPresetWeather);
+}
+
+export function setupWeatherJQuery() {
+	$("#prome-weather").on("click", onWeather_Click);
+	$("#prome-weather-type").on("change", onWeatherType_Select);
+	$("#prome-weather-density").on("input", onWeatherDensity_Change);
+	$("#prome-weather-density-counter").on("input", onWeatherDensity_Change);
+	$("#prome-weather-speed").on("input", onWeatherSpeed_Change);
+	$("#prome-weather-speed-counter").on("input", onWeatherSpeed_Change);
+	$("#prome-weather-wind").on("input", onWeatherWind_Change);
+	$("#prome-weather-wind-counter").on("input", onWeatherWind_Change);
+	$("#prome-weather-color-picker").on("change", onWeatherColor_Change);
+	$("#prome-weather-density-restore").on("click", resetWeatherDensity);
+	$("#prome-weather-speed-restore").on("click", resetWeatherSpeed);
+	$("#prome-weather-wind-restore").on("click", resetWeatherWind);
+	$("#prome-weather-color-restore").on("click", resetWeatherColor);
+	$("#prome-tint-preset-weather").on("click", onTintPresetWeather_Click);
+	$(window).on("resize", resizeWeatherCanvas);
+	// The weather follows VN mode and the reduced motion preference
+	$("#waifuMode").on("input", applyWeather);
+	reducedMotionQuery.addEventListener("change", applyWeather);
+}
@@ -3,11 +3,16 @@ import { extensionName, VN_MODES } from "./constants.js";
 
 /**
  * Returns the last character chat message
+ * @param {number|null} [upToMessageId] - Ignore messages after this index (e.g. while rolled back)
  * @returns {object} - The last character chat message
  */
-export function getLastChatMessage() {
+export function getLastChatMessage(upToMessageId = null) {
 	const context = getContext();
-	const reversedChat = context.chat.slice().reverse();
+	const chat =
+		upToMessageId === null
+			? context.chat
+			: context.chat.slice(0, upToMessageId + 1);
+	const reversedChat = chat.slice().reverse();
 
 	return reversedChat.filter((mes) => !mes.is_system && !mes.extra?.image);
 }
@@ -52,6 +57,17 @@ export function getChatId() {
 	return context.getCurrentChatId();
 }
 
+/**
+ * Returns the key of the current character or group
+ * @returns {string|null} - The group ID in group chats, the character avatar in 1:1 chats, or null if neither is open
+ */
+export function getCharacterKey() {
+	const context = getContext();
+	if (context.groupId) return context.groupId;
+	if (context.characterId === undefined) return null;
+	return context.characters[context.characterId]?.avatar ?? null;
+}
+
 /**
  * Returns whether letterbox mode is enabled
  * @returns {boolean} - Whether letterbox mode is enabled
@@ -120,6 +136,30 @@ export function isGroupChat() {
 	return context.groupId !== null;
 }
 
+/**
+ * Returns the characters of the current chat
+ * @returns {{avatar: string, name: string}[]} - The characters of the current chat
+ */
+export function getChatCharacters() {
+	const context = getContext();
+
+	if (isGroupChat()) {
+		const group = context.groups.find((x) => x.id === context.groupId);
+		return (group?.members ?? [])
+			.filter((member) => member !== "prome-user")
+			.map((member) => context.characters.find((x) => x.avatar === member))
+			.filter(Boolean)
+			.map((character) => ({
+				avatar: character.avatar,
+				name: character.name,
+			}));
+	}
+
+	const character = context.characters[context.characterId];
+	if (!character) return [];
+	return [{ avatar: character.avatar, name: character.name }];
+}
+
 /**
  * Check if the member is disabled in the group chat
  * @param {string} name - The member name
@@ -138,4 +178,52 @@ export async function spritePackExists(spritePack) {
 		(data) => data.length > 0,
 	);
 	return spritePackExists;
-}
\ No newline at end of file
+}
+
+/**
+ * Creates an easing function matching a CSS cubic-bezier() timing function
+ * @param {number} x1 - The x coordinate of the first control point
+ * @param {number} y1 - The y coordinate of the first control point
+ * @param {number} x2 - The x coordinate of the second control point
+ * @param {number} y2 - The y coordinate of the second control point
+ * @returns {(progress: number) => number} - The easing function
+ */
+function cubicBezier(x1, y1, x2, y2) {
+	const bezier = (t, p1, p2) =>
+		3 * (1 - t) ** 2 * t * p1 + 3 * (1 - t) * t ** 2 * p2 + t ** 3;
+	const bezierSlope = (t, p1, p2) =>
+		3 * (1 - t) ** 2 * p1 +
+		6 * (1 - t) * t * (p2 - p1) +
+		3 * t ** 2 * (1 - p2);
+
+	return (progress) => {
+		if (progress <= 0 || progress >= 1) return progress;
+
+		// Solve for t at the given x with Newton's method
+		let t = progress;
+		for (let i = 0; i < 8; i++) {
+			const slope = bezierSlope(t, x1, x2);
+			if (slope === 0) break;
+			t -= (bezier(t, x1, x2) - progress) / slope;
+		}
+		return bezier(Math.min(Math.max(t, 0), 1), y1, y2);
+	};
+}
+
+/* Easing functions matching the CSS timing functions of the same name */
+export const easingFunctions = {
+	ease: cubicBezier(0.25, 0.1, 0.25, 1),
+	"ease-in": cubicBezier(0.42, 0, 1, 1),
+	"ease-out": cubicBezier(0, 0, 0.58, 1),
+	"ease-in-out": cubicBezier(0.42, 0, 0.58, 1),
+	linear: (progress) => progress,
+};
+
+/**
+ * Returns the easing function for a CSS timing function name
+ * @param {string} name - The timing function name (e.g. "ease-in-out")
+ * @returns {(progress: number) => number} - The easing function (linear if unknown)
+ */
+export function getEasingFunction(name) {
+	return easingFunctions[name] ?? easingFunctions.linear;
+}